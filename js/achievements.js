@@ -0,0 +1,106 @@
+// FINPOP Rhythm Game — Achievements
+// Badges unlocked from game events (streaks during a run, the finished run's stats), kept in localStorage
+
+import { Judgment } from './scorer.js';
+import { LANE_COLORS } from './renderer.js';
+
+// Sections shorter than this don't count for lane-perfect badges
+const MIN_SECTION_NOTES = 8;
+
+const cleared = (run) => !run.stats.failed;
+const approvedShare = (entries) => entries.filter(e => e.judgment === Judgment.APPROVED).length / entries.length;
+
+// Streak badges fire mid-run ({ type: 'combo' }); the rest on { type: 'finish' }.
+// A check returns true, a detail string (shown after the name), or false.
+export const ACHIEVEMENTS = [
+  { id: 'first_settlement', name: 'First Settlement', description: 'Finish any track',
+    finish: (run) => cleared(run) },
+  { id: 'streak_50', name: '50x Streak', description: 'Reach a 50-note settlement streak',
+    combo: 50 },
+  { id: 'streak_100', name: '100x Streak', description: 'Reach a 100-note settlement streak',
+    combo: 100 },
+  { id: 'streak_250', name: '250x Streak', description: 'Reach a 250-note settlement streak',
+    combo: 250 },
+  { id: 'zero_chargebacks', name: 'Zero Chargebacks', description: 'Finish a track without a single CHARGEBACK',
+    finish: (run) => cleared(run) && run.stats.totalNotes > 0 && run.stats.counts[Judgment.CHARGEBACK] === 0 },
+  { id: 'full_approval', name: 'Full Approval', description: 'Every note APPROVED',
+    finish: (run) => cleared(run) && run.stats.totalNotes > 0 && run.stats.counts[Judgment.APPROVED] === run.stats.totalNotes },
+  { id: 'grade_s', name: 'Going Public', description: 'Earn an S grade',
+    finish: (run) => cleared(run) && run.stats.grade === 'S' },
+  { id: 'hard_low_risk', name: 'Low Risk Profile', description: 'Finish HARD at LOW risk',
+    finish: (run) => cleared(run) && run.difficulty === 'HARD' && run.stats.riskLevel.level === 'LOW' },
+  { id: 'hard_critical', name: 'Too Big To Fail', description: 'Finish HARD at CRITICAL risk',
+    finish: (run) => cleared(run) && run.difficulty === 'HARD' && run.stats.riskLevel.level === 'CRITICAL' },
+  { id: 'every_section', name: 'Section by Section', description: 'At least 90% APPROVED in every section of a track',
+    finish: (run) => {
+      if (!cleared(run) || !run.stats.sections.length) return false;
+      const bySection = run.stats.sections.map(sec => run.stats.timeline.filter(e => e.time >= sec.start && e.time < sec.end));
+      return bySection.every(entries => !entries.length || approvedShare(entries) >= 0.9);
+    } },
+  { id: 'blindfolded', name: 'Blindfolded', description: 'Finish with HIDDEN and SUDDEN both on',
+    finish: (run) => cleared(run) && run.mods.hidden && run.mods.sudden },
+  { id: 'mirror_s', name: 'Mirror World', description: 'Earn an S grade with MIRROR',
+    finish: (run) => cleared(run) && run.mods.mirror && run.stats.grade === 'S' },
+  { id: 'shuffled', name: 'Shuffled Books', description: 'Finish at A or better with RANDOM',
+    finish: (run) => cleared(run) && run.mods.random && (run.stats.grade === 'S' || run.stats.grade === 'A') },
+  { id: 'shutdown', name: 'Compliance Shutdown', description: 'Get shut down mid-track',
+    finish: (run) => run.stats.failed },
+  // One per character: every note in their lane APPROVED through a whole section
+  ...LANE_COLORS.map(c => ({
+    id: `lane_perfect_${c.name.toLowerCase()}`,
+    name: `${c.name} Lane Perfect`,
+    description: `Every ${c.name} note APPROVED through a whole section`,
+    color: c.main,
+    finish: (run) => {
+      const lane = run.laneNames.indexOf(c.name);
+      if (lane < 0 || !cleared(run)) return false;
+      for (const sec of run.stats.sections) {
+        const entries = run.stats.timeline.filter(e => e.lane === lane && e.time >= sec.start && e.time < sec.end);
+        if (entries.length >= MIN_SECTION_NOTES && approvedShare(entries) === 1) return `in ${sec.name}`;
+      }
+      return false;
+    },
+  })),
+];
+
+export class Achievements {
+  constructor() {
+    this.unlocked = {}; // id -> { at, detail }
+  }
+
+  load() {
+    try {
+      const saved = JSON.parse(localStorage.getItem('finpop_achievements') || 'null');
+      if (saved && typeof saved === 'object') this.unlocked = saved;
+    } catch (e) { /* localStorage unavailable or corrupt — start empty */ }
+  }
+
+  save() {
+    try {
+      localStorage.setItem('finpop_achievements', JSON.stringify(this.unlocked));
+    } catch (e) { /* localStorage unavailable */ }
+  }
+
+  // Feed a game event: { type: 'combo', combo } or
+  // { type: 'finish', stats, difficulty, mods, laneNames }. Returns what it newly unlocked.
+  handle(event) {
+    const fresh = [];
+    for (const def of ACHIEVEMENTS) {
+      if (this.unlocked[def.id]) continue;
+      let result = false;
+      if (event.type === 'combo' && def.combo) result = event.combo >= def.combo;
+      else if (event.type === 'finish' && def.finish) result = def.finish(event);
+      if (!result) continue;
+      const detail = typeof result === 'string' ? result : null;
+      this.unlocked[def.id] = { at: Date.now(), detail };
+      fresh.push({ ...def, detail });
+    }
+    if (fresh.length) this.save();
+    return fresh;
+  }
+
+  // Every badge with its unlock record (or null), for the gallery
+  list() {
+    return ACHIEVEMENTS.map(def => ({ ...def, unlocked: this.unlocked[def.id] || null }));
+  }
+}
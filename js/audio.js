@@ -1,6 +1,9 @@
 // FINPOP Rhythm Game — Audio Engine (Web Audio API)
 // Provides precise audio timing for rhythm game synchronization
 
+// A decoded track is tens of MB: keep the playing track's buffer and the most recent other one (the preview)
+const MAX_CACHED_BUFFERS = 2;
+
 export class AudioEngine {
   constructor() {
     this.ctx = null;
@@ -9,6 +12,7 @@ export class AudioEngine {
     this.gainNode = null;
     this.analyser = null;
     this.startTime = 0;
+    this.rate = 1; // playback rate — song time advances `rate` seconds per real second
     this.pauseTime = 0;
     this.playing = false;
     this.loaded = false;
@@ -16,12 +20,19 @@ export class AudioEngine {
     this.frequencyData = null;
     this.waveformData = null;
     this.endedTime = 0;
+    this.bufferCache = new Map(); // url -> decoded AudioBuffer, least recently used first
+    this.localBuffers = new Map(); // key -> the player's own files, never evicted: there's nothing to reload them from
+    this.previewSource = null;
+    this.previewGain = null;
+    this.clockOffset = null; // ctx.currentTime - performance.now() (seconds), see syncClock
+    this.volume = 1; // music volume (settings), applied to gainNode
   }
 
   async init() {
     if (this.ctx) return; // Already initialized — idempotent
     this.ctx = new (window.AudioContext || window.webkitAudioContext)();
     this.gainNode = this.ctx.createGain();
+    this.gainNode.gain.value = this.volume;
     this.analyser = this.ctx.createAnalyser();
     this.analyser.fftSize = 256;
     this.analyser.smoothingTimeConstant = 0.8;
@@ -34,10 +45,10 @@ export class AudioEngine {
   async loadTrack(url) {
     if (!this.ctx) await this.init();
 
+    this.stop();
+    this.endedTime = 0;
     try {
-      const response = await fetch(url);
-      const arrayBuffer = await response.arrayBuffer();
-      this.buffer = await this.ctx.decodeAudioData(arrayBuffer);
+      this.buffer = await this.loadBuffer(url);
       this.duration = this.buffer.duration;
       this.loaded = true;
       return true;
@@ -48,6 +59,39 @@ export class AudioEngine {
     }
   }
 
+  // Fetch + decode, cached so a previewed song doesn't decode again when it's picked
+  async loadBuffer(url) {
+    if (!this.ctx) await this.init();
+    if (this.localBuffers.has(url)) return this.localBuffers.get(url);
+    let buffer = this.bufferCache.get(url);
+    if (!buffer) {
+      const response = await fetch(url);
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      buffer = await this.ctx.decodeAudioData(await response.arrayBuffer());
+    }
+    this.bufferCache.delete(url); // re-added as the most recently used
+    this.bufferCache.set(url, buffer);
+    this.trimCache();
+    return buffer;
+  }
+
+  // Oldest first, never the buffer that's loaded to play
+  trimCache() {
+    for (const [url, buffer] of this.bufferCache) {
+      if (this.bufferCache.size <= MAX_CACHED_BUFFERS) return;
+      if (buffer !== this.buffer) this.bufferCache.delete(url);
+    }
+  }
+
+  // Decode audio the player supplied (dropped/picked file); kept under `key`
+  // so loadTrack/loadBuffer can address it like any other track
+  async decodeData(key, arrayBuffer) {
+    if (!this.ctx) await this.init();
+    const buffer = await this.ctx.decodeAudioData(arrayBuffer);
+    this.localBuffers.set(key, buffer);
+    return buffer;
+  }
+
   generateDemoTrack() {
     // Generate a simple 128 BPM beat for demo/testing
     const sampleRate = this.ctx.sampleRate;
@@ -126,7 +170,7 @@ export class AudioEngine {
     this.loaded = true;
   }
 
-  play(offset = 0) {
+  play(offset = 0, rate = 1) {
     if (!this.loaded || !this.ctx) return;
     if (this.ctx.state === 'suspended') {
       this.ctx.resume();
@@ -136,14 +180,20 @@ export class AudioEngine {
 
     this.source = this.ctx.createBufferSource();
     this.source.buffer = this.buffer;
+    this.source.playbackRate.value = rate;
     this.source.connect(this.gainNode);
     this.source.start(0, offset);
-    this.startTime = this.ctx.currentTime - offset;
+    this.rate = rate;
+    // Context time at which song time 0 would have played, at this rate
+    this.startTime = this.ctx.currentTime - offset / rate;
+    this.endedTime = 0;
     this.playing = true;
 
-    this.source.onended = () => {
+    const source = this.source;
+    source.onended = () => {
+      if (this.source !== source) return; // replaced by a newer play()
       // Store final time before marking as not playing
-      this.endedTime = this.ctx.currentTime - this.startTime;
+      this.endedTime = (this.ctx.currentTime - this.startTime) * this.rate;
       this.playing = false;
     };
   }
@@ -159,13 +209,73 @@ export class AudioEngine {
     this.playing = false;
   }
 
+  // --- Song select previews ---
+  // Loops [start, start + duration] of a buffer with a short fade-in
+  playPreview(buffer, start = 0, duration = 15) {
+    if (!this.ctx || !buffer) return;
+    this.stopPreview();
+
+    const loopStart = Math.min(start, Math.max(0, buffer.duration - 1));
+    const loopEnd = Math.min(loopStart + duration, buffer.duration);
+
+    this.previewGain = this.ctx.createGain();
+    this.previewGain.gain.setValueAtTime(0, this.ctx.currentTime);
+    this.previewGain.gain.linearRampToValueAtTime(0.8, this.ctx.currentTime + 0.6);
+    this.previewGain.connect(this.gainNode);
+
+    this.previewSource = this.ctx.createBufferSource();
+    this.previewSource.buffer = buffer;
+    this.previewSource.loop = true;
+    this.previewSource.loopStart = loopStart;
+    this.previewSource.loopEnd = loopEnd;
+    this.previewSource.connect(this.previewGain);
+    this.previewSource.start(0, loopStart);
+  }
+
+  stopPreview() {
+    if (this.previewSource) {
+      try {
+        this.previewSource.stop();
+      } catch (e) { /* already stopped */ }
+      this.previewSource.disconnect();
+      this.previewSource = null;
+    }
+    if (this.previewGain) {
+      this.previewGain.disconnect();
+      this.previewGain = null;
+    }
+  }
+
   getCurrentTime() {
     if (!this.ctx) return 0;
     if (!this.playing) {
       // Return the time when audio ended (so game logic can still detect completion)
       return this.endedTime || 0;
     }
-    return this.ctx.currentTime - this.startTime;
+    return (this.ctx.currentTime - this.startTime) * this.rate;
+  }
+
+  // --- Input timestamps ---
+  // ctx.currentTime only advances once per render quantum, so the relation to
+  // performance.now() is tracked as the largest difference seen recently (the
+  // instant the audio clock has just ticked). Called once per frame.
+  syncClock() {
+    if (!this.ctx || this.ctx.state !== 'running') {
+      this.clockOffset = null; // a suspended context stops its clock
+      return;
+    }
+    const sample = this.ctx.currentTime - performance.now() / 1000;
+    // Sink slowly so drift between the two clocks can't pin us to an old peak
+    this.clockOffset = this.clockOffset === null ? sample : Math.max(sample, this.clockOffset - 0.00025);
+  }
+
+  // Song time at a performance.now()-domain timestamp, e.g. an input event's timeStamp
+  getTimeAt(timeStamp) {
+    if (!this.ctx || !this.playing) return this.getCurrentTime();
+    const ctxTime = this.clockOffset !== null
+      ? timeStamp / 1000 + this.clockOffset
+      : this.ctx.currentTime + (timeStamp - performance.now()) / 1000;
+    return (ctxTime - this.startTime) * this.rate;
   }
 
   getProgress() {
@@ -213,8 +323,9 @@ export class AudioEngine {
   }
 
   setVolume(v) {
+    this.volume = Math.max(0, Math.min(1, v));
     if (this.gainNode) {
-      this.gainNode.gain.value = Math.max(0, Math.min(1, v));
+      this.gainNode.gain.value = this.volume;
     }
   }
 
@@ -239,11 +350,16 @@ export class AudioEngine {
 export class SFXEngine {
   constructor(audioCtxProvider) {
     this.getCtx = audioCtxProvider; // function that returns AudioContext
+    this.volume = 1; // scales every hit sound and the metronome (settings)
+  }
+
+  setVolume(v) {
+    this.volume = Math.max(0, Math.min(1, v));
   }
 
   play(judgment) {
     const ctx = this.getCtx();
-    if (!ctx) return;
+    if (!ctx || this.volume <= 0) return;
     const now = ctx.currentTime;
 
     switch (judgment) {
@@ -256,7 +372,7 @@ export class SFXEngine {
 
   playMetronome(accent = false) {
     const ctx = this.getCtx();
-    if (!ctx) return;
+    if (!ctx || this.volume <= 0) return;
     this._ping(ctx, ctx.currentTime, accent ? 1000 : 700, 0.15, 0.06);
   }
 
@@ -265,7 +381,7 @@ export class SFXEngine {
     const gain = ctx.createGain();
     osc.type = 'sine';
     osc.frequency.value = freq;
-    gain.gain.setValueAtTime(vol, now);
+    gain.gain.setValueAtTime(vol * this.volume, now);
     gain.gain.exponentialRampToValueAtTime(0.001, now + dur);
     osc.connect(gain);
     gain.connect(ctx.destination);
@@ -279,7 +395,7 @@ export class SFXEngine {
     const gain = ctx.createGain();
     osc.type = 'sawtooth';
     osc.frequency.value = 90;
-    gain.gain.setValueAtTime(0.12, now);
+    gain.gain.setValueAtTime(0.12 * this.volume, now);
     gain.gain.exponentialRampToValueAtTime(0.001, now + 0.18);
     osc.connect(gain);
     gain.connect(ctx.destination);
@@ -294,7 +410,7 @@ export class SFXEngine {
     const noise = ctx.createBufferSource();
     const ng = ctx.createGain();
     noise.buffer = noiseBuf;
-    ng.gain.setValueAtTime(0.1, now);
+    ng.gain.setValueAtTime(0.1 * this.volume, now);
     ng.gain.exponentialRampToValueAtTime(0.001, now + 0.08);
     noise.connect(ng);
     ng.connect(ctx.destination);
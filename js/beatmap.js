@@ -1,101 +1,288 @@
 // FINPOP Rhythm Game — Beatmap System
 // Loads, parses and manages note timing
 
+import { TimingMap } from './timing.js';
+import { ChartGenerator } from './chartgen.js';
+import { seededRandom, hashSeed } from './random.js';
+
+// Fresh per-run judgment state; hold notes also track head/sustain/release
+const withState = (n) => ({ ...n, hit: false, missed: false, judged: false, holding: false, released: false, broken: false });
+
+// Time at which a note is fully resolved (hold notes end at their release)
+export const noteEnd = (n) => n.time + (n.type === 'hold' ? n.duration : 0);
+
+// Lane counts a chart can declare ("lanes"); charts that don't are 4K
+export const LANE_COUNTS = [4, 5, 6, 7];
+const MIN_LANES = LANE_COUNTS[0];
+const MAX_LANES = LANE_COUNTS[LANE_COUNTS.length - 1];
+
+// Declared lane count, else enough for the highest lane used, within 4–7
+const laneCountFor = (declared, notes) => {
+  const used = notes ? notes.reduce((max, n) => Math.max(max, n.lane + 1), 0) : 0;
+  const count = Number.isInteger(declared) ? declared : used;
+  return Math.max(MIN_LANES, Math.min(MAX_LANES, count));
+};
+
+// Notes outside the chart's lanes can't be drawn or hit
+const inLanes = (notes, lanes) => notes.filter(n => Number.isInteger(n.lane) && n.lane >= 0 && n.lane < lanes);
+
+// Difficulties a chart gets when it doesn't declare its own (legacy top-level "notes")
+export const DEFAULT_DIFFICULTIES = ['EASY', 'NORMAL', 'HARD'];
+const DEFAULT_LEVELS = { EASY: 3, NORMAL: 6, HARD: 9 };
+
+// generateDefault's free lane picks are seeded, so the built-in chart (and its hash) is the same every load
+const DEFAULT_CHART_SEED = 134;
+
+// 32-bit FNV-1a (the same hash that seeds the daily), hex — cheap fingerprint for chart contents
+const fingerprint = (text) => hashSeed(text).toString(16).padStart(8, '0');
+
+const parseNotes = (notes) => notes.map((n, i) => ({
+  id: i,
+  time: n.time,
+  lane: n.lane,
+  type: n.type || 'tap',
+  duration: n.duration || 0,
+}));
+
 export class BeatmapManager {
   constructor() {
-    this.allNotes = []; // full note set from JSON
-    this.notes = [];    // active notes (filtered by difficulty)
+    this.allNotes = []; // base chart (NORMAL) — source for derived difficulties
+    this.notes = [];    // active notes for the selected difficulty
+    this.charts = {};   // difficulty name -> { level, charter, lanes, notes|null }
+    this.baseLanes = 4; // lane count of the base chart (and so of derived difficulties)
+    this.laneCount = 4; // lane count of the selected difficulty
+    this.difficulties = [...DEFAULT_DIFFICULTIES];
     this.bpm = 128;
+    this.timing = new TimingMap([], [], this.bpm);
     this.offset = 0;
     this.trackName = '';
     this.duration = 0;
     this.sections = [];
     this.lyrics = [];
+    this.source = null; // raw JSON as loaded, kept so exports round-trip unknown fields
   }
 
-  async load(url) {
+  // Falls back to a chart generated from audioBuffer when the file can't be fetched,
+  // and to the built-in pattern when there's no audio to analyse either
+  async load(url, audioBuffer = null) {
     try {
       const response = await fetch(url);
-      const data = await response.json();
-      this.bpm = data.bpm || 134;
-      this.offset = data.offset || 0;
-      this.trackName = data.track || 'unknown';
-      this.allNotes = data.notes.map((n, i) => ({
-        id: i,
-        time: n.time,
-        lane: n.lane,
-        type: n.type || 'tap',
-        duration: n.duration || 0,
-      }));
-      this.lyrics = data.lyrics || [];
-      this.notes = this.allNotes.map(n => ({ ...n, hit: false, missed: false, judged: false }));
-      this.duration = this.notes.length > 0
-        ? this.notes[this.notes.length - 1].time + 2
-        : 0;
-      this.initSections();
-      return true;
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      this.loadData(await response.json());
     } catch (e) {
-      console.warn('Beatmap load failed, generating default:', e.message);
-      this.generateDefault();
-      return true;
+      if (audioBuffer) {
+        console.warn('Beatmap load failed, generating chart from audio:', e.message);
+        this.generateFromAudio(audioBuffer);
+      } else {
+        console.warn('Beatmap load failed, generating default:', e.message);
+        this.generateDefault();
+      }
+    }
+    return true;
+  }
+
+  // Chart a track straight from its decoded audio (songs without a beatmap file)
+  generateFromAudio(audioBuffer, meta = {}) {
+    this.loadData(new ChartGenerator().generate(audioBuffer, meta));
+  }
+
+  loadData(data) {
+    this.source = data;
+    this.bpm = data.bpm || 134;
+    // "timingPoints": [{ time, bpm, meter }], "scrollVelocity": [{ time, speed }]
+    this.timing = new TimingMap(data.timingPoints || [], data.scrollVelocity || [], this.bpm);
+    this.bpm = this.timing.initialBpm;
+    this.offset = data.offset || 0;
+    this.trackName = data.track || 'unknown';
+    this.loadCharts(data);
+    this.lyrics = data.lyrics || [];
+    this.notes = this.allNotes.map(withState);
+    this.duration = this.notes.length > 0 ? this.getLastNoteEnd() + 2 : 0;
+    this.loadSections(data.sections || []);
+  }
+
+  // "charts": { NAME: { level, charter, lanes, notes } } — one authored note list per difficulty.
+  // NORMAL may leave its notes in the top-level "notes" (as legacy files do); any other
+  // difficulty without notes is derived from the NORMAL chart. "lanes" (4–7) may be set
+  // per chart or once at the top level.
+  loadCharts(data) {
+    this.charts = {};
+    if (data.charts && Object.keys(data.charts).length > 0) {
+      for (const [name, chart] of Object.entries(data.charts)) {
+        const source = chart.notes ?? (name.toUpperCase() === 'NORMAL' ? data.notes : null);
+        const notes = Array.isArray(source) ? parseNotes(source) : null;
+        const lanes = notes ? laneCountFor(chart.lanes ?? data.lanes, notes) : null;
+        this.charts[name.toUpperCase()] = {
+          level: chart.level || DEFAULT_LEVELS[name.toUpperCase()] || 0,
+          charter: chart.charter || data.charter || '',
+          lanes,
+          notes: notes ? inLanes(notes, lanes) : null,
+        };
+      }
+    } else {
+      for (const name of DEFAULT_DIFFICULTIES) {
+        this.charts[name] = { level: DEFAULT_LEVELS[name], charter: data.charter || '', lanes: null, notes: null };
+      }
+      const notes = parseNotes(data.notes);
+      this.charts.NORMAL.lanes = laneCountFor(data.lanes, notes);
+      this.charts.NORMAL.notes = inLanes(notes, this.charts.NORMAL.lanes);
+    }
+
+    // Base chart for derivation: NORMAL if authored, else the first authored chart
+    const base = this.charts.NORMAL && this.charts.NORMAL.notes
+      ? this.charts.NORMAL
+      : Object.values(this.charts).find(c => c.notes);
+    this.allNotes = base ? base.notes : [];
+    this.baseLanes = base ? base.lanes : laneCountFor(data.lanes, null);
+    this.laneCount = this.baseLanes;
+
+    // Canonical order first, then any custom difficulties by level
+    this.difficulties = Object.keys(this.charts).sort((a, b) => {
+      const ia = DEFAULT_DIFFICULTIES.indexOf(a);
+      const ib = DEFAULT_DIFFICULTIES.indexOf(b);
+      if (ia >= 0 && ib >= 0) return ia - ib;
+      if (ia >= 0 || ib >= 0) return ia >= 0 ? -1 : 1;
+      return this.charts[a].level - this.charts[b].level;
+    });
+  }
+
+  // Replace one difficulty's note list (editor); the NORMAL chart also feeds derivation
+  setChartNotes(level, notes, lanes = this.getLaneCount(level)) {
+    const parsed = parseNotes([...notes].sort((a, b) => a.time - b.time));
+    if (!this.charts[level]) {
+      this.charts[level] = { level: DEFAULT_LEVELS[level] || 0, charter: '', lanes: null, notes: null };
+      this.difficulties.push(level);
+    }
+    this.charts[level].notes = parsed;
+    this.charts[level].lanes = laneCountFor(lanes, parsed);
+    if (level === 'NORMAL' || this.allNotes.length === 0) {
+      this.allNotes = parsed;
+      this.baseLanes = this.charts[level].lanes;
     }
   }
 
+  // Authored charts carry their own count; derived ones follow the base chart
+  getLaneCount(level) {
+    const chart = this.charts[level];
+    return chart && chart.notes ? chart.lanes : this.baseLanes;
+  }
+
+  // Beatmap JSON in the same format load() reads
+  exportData() {
+    const round = (t) => Math.round(t * 1000) / 1000;
+    const charts = {};
+    for (const name of this.difficulties) {
+      const chart = this.charts[name];
+      const entry = { level: chart.level };
+      if (chart.charter) entry.charter = chart.charter;
+      if (chart.notes && chart.lanes !== 4) entry.lanes = chart.lanes;
+      if (chart.notes) {
+        entry.notes = chart.notes.map(n => {
+          const out = { time: round(n.time), lane: n.lane, type: n.type };
+          if (n.type === 'hold') out.duration = round(n.duration);
+          return out;
+        });
+      }
+      charts[name] = entry;
+    }
+
+    const base = this.source || {
+      track: this.trackName,
+      bpm: this.bpm,
+      offset: 0,
+      sections: this.sections.map(s => ({ name: s.name, start: round(s.start), end: round(s.end) })),
+      lyrics: this.lyrics,
+    };
+    // Keep the source's key order; legacy top-level "notes" become "charts" in place.
+    // An exported generated chart has been through the editor, so it counts as authored.
+    const data = {};
+    for (const [key, value] of Object.entries(base)) {
+      if (key === 'generated') continue;
+      if (key === 'notes' || key === 'charts') data.charts = charts;
+      else data[key] = value;
+    }
+    if (!data.charts) data.charts = charts;
+    return data;
+  }
+
+  getChartInfo(level) {
+    const chart = this.charts[level];
+    if (!chart) return null;
+    const generated = !!(this.source && this.source.generated);
+    return { name: level, level: chart.level, charter: chart.charter, authored: !!chart.notes && !generated, generated, lanes: this.getLaneCount(level) };
+  }
+
   applyDifficulty(level) {
-    const beat = 60 / this.bpm;
+    this.laneCount = this.getLaneCount(level);
+    const chart = this.charts[level];
+    const source = chart && chart.notes ? chart.notes : this.deriveNotes(level);
+    this.notes = source.map(n => withState({ ...n, time: n.time + this.offset }));
+    this.timing.offset = this.offset;
+    this.duration = this.notes.length > 0 ? this.getLastNoteEnd() + 2 : 0;
+  }
+
+  // Lane modifiers (mirror/random): the active notes move from lane i to map[i]
+  remapLanes(map) {
+    for (const note of this.notes) note.lane = map[note.lane];
+  }
+
+  // Fingerprint of a difficulty's notes and timing, so a replay can tell the chart changed
+  getChartHash(level) {
+    const chart = this.charts[level];
+    const notes = chart && chart.notes ? chart.notes : this.deriveNotes(level);
+    const noteText = notes.map(n => `${n.time.toFixed(3)}:${n.lane}:${n.type}:${(n.duration || 0).toFixed(3)}`).join('|');
+    const timingText = this.timing.points.map(p => `${p.time}:${p.bpm}:${p.meter}`).join('|');
+    // 4K hashes predate lane counts, so only other counts are mixed in
+    const lanes = this.getLaneCount(level);
+    return fingerprint(`${noteText}#${timingText}${lanes === 4 ? '' : `#${lanes}K`}`);
+  }
+
+  // Fallback when a difficulty has no authored chart
+  deriveNotes(level) {
     if (level === 'EASY') {
       // Keep roughly every other note
-      this.notes = this.allNotes.filter((n, i) => i % 2 === 0)
-        .map(n => ({ ...n, time: n.time + this.offset, hit: false, missed: false, judged: false }));
-    } else if (level === 'HARD') {
+      return this.allNotes.filter((n, i) => i % 2 === 0);
+    }
+    if (level === 'HARD') {
       // Add extra notes between existing ones
       const extra = [];
       for (let i = 0; i < this.allNotes.length - 1; i++) {
         const curr = this.allNotes[i];
         const next = this.allNotes[i + 1];
         const gap = next.time - curr.time;
+        const beat = 60 / this.timing.pointAt(curr.time + this.offset).bpm;
         if (gap > beat * 1.5 && gap < beat * 4) {
           extra.push({
             id: 10000 + i,
             time: curr.time + gap / 2,
-            lane: (curr.lane + 2) % 4,
+            lane: (curr.lane + 2) % this.baseLanes,
             type: 'tap',
             duration: 0,
           });
         }
       }
-      this.notes = [...this.allNotes, ...extra]
-        .sort((a, b) => a.time - b.time)
-        .map(n => ({ ...n, time: n.time + this.offset, hit: false, missed: false, judged: false }));
-    } else {
-      // NORMAL
-      this.notes = this.allNotes.map(n => ({ ...n, time: n.time + this.offset, hit: false, missed: false, judged: false }));
+      return [...this.allNotes, ...extra].sort((a, b) => a.time - b.time);
     }
-    this.duration = this.notes.length > 0 ? this.notes[this.notes.length - 1].time + 2 : 0;
+    // NORMAL (or an unknown difficulty) plays the base chart
+    return this.allNotes;
   }
 
-  generateDefault() {
+  generateDefault(seed = DEFAULT_CHART_SEED) {
     // Generate a full beatmap for "Payments on Lock" at 134 BPM
     this.bpm = 134;
+    this.timing = new TimingMap([], [], this.bpm);
     this.offset = 0;
     this.trackName = 'payments_on_lock';
+    this.source = null;
     this.notes = [];
 
     const beat = 60 / this.bpm; // 0.46875s
     const bar = beat * 4;       // 1.875s
+    const random = seededRandom(seed);
     let noteId = 0;
 
     const addNote = (time, lane, type = 'tap', duration = 0) => {
-      this.notes.push({
-        id: noteId++,
-        time,
-        lane,
-        type,
-        duration,
-        hit: false,
-        missed: false,
-        judged: false,
-      });
+      this.notes.push(withState({ id: noteId++, time, lane, type, duration }));
     };
 
     // Helper: add notes at beat positions within a range
@@ -103,7 +290,7 @@ export class BeatmapManager {
       const startTime = startBar * bar;
       for (const p of pattern) {
         const time = startTime + p.beat * beat;
-        const lane = p.lane !== undefined ? p.lane : lanes[Math.floor(Math.random() * lanes.length)];
+        const lane = p.lane !== undefined ? p.lane : lanes[Math.floor(random() * lanes.length)];
         addNote(time, lane, p.type || 'tap', p.duration || 0);
       }
     };
@@ -300,8 +487,20 @@ export class BeatmapManager {
 
     // Sort by time
     this.notes.sort((a, b) => a.time - b.time);
-    this.duration = this.notes[this.notes.length - 1].time + 3;
-    this.initSections();
+    this.duration = this.getLastNoteEnd() + 3;
+
+    // Expose the generated pattern as the NORMAL chart so difficulties can derive from it
+    this.loadCharts({ notes: this.notes, charter: 'FINPOP' });
+    this.loadSections([
+      { name: 'INTRO',        bar: 0,  intensity: 0.3 },
+      { name: 'VERSE 1',      bar: 8,  intensity: 0.5 },
+      { name: 'CHORUS',       bar: 24, intensity: 0.8, color: '#FFD700' },
+      { name: 'VERSE 2',      bar: 40, intensity: 0.5 },
+      { name: 'RAP BREAK',    bar: 56, intensity: 0.9, color: '#C77DFF' },
+      { name: 'BRIDGE',       bar: 72, intensity: 0.2, color: '#00D4FF' },
+      { name: 'FINAL CHORUS', bar: 80, intensity: 1.0, color: '#FFD700' },
+      { name: 'OUTRO',        bar: 96, intensity: 0.3 },
+    ]);
   }
 
   reset() {
@@ -309,16 +508,36 @@ export class BeatmapManager {
       note.hit = false;
       note.missed = false;
       note.judged = false;
+      note.holding = false;
+      note.released = false;
+      note.broken = false;
     }
   }
 
   getVisibleNotes(currentTime, approachTime = 2.0) {
     return this.notes.filter(n => {
-      const relTime = n.time - currentTime;
-      return relTime > -0.5 && relTime < approachTime && !n.hit;
+      // Distances in scroll space, so slowed sections keep notes on screen longer
+      const relTime = this.timing.scrollDistance(currentTime, n.time);
+      const relEnd = this.timing.scrollDistance(currentTime, noteEnd(n));
+      // Hit holds stay on screen while held (or as a dead tail once broken)
+      const visible = !n.hit || n.holding || n.broken;
+      return relEnd > -0.5 && relTime < approachTime && visible;
     });
   }
 
+  // Practice: keep only notes whose chart time falls in [start, end)
+  clipToRange(start, end) {
+    this.notes = this.notes.filter(n => {
+      const t = n.time - this.offset;
+      return t >= start && t < end;
+    });
+  }
+
+  // Hold notes whose head was hit and which are still being sustained
+  getActiveHolds() {
+    return this.notes.filter(n => n.holding);
+  }
+
   getJudgableNotes(currentTime, lane, window = 0.200) {
     return this.notes.filter(n =>
       n.lane === lane &&
@@ -327,10 +546,11 @@ export class BeatmapManager {
     );
   }
 
-  markMissedNotes(currentTime, missWindow = 0.200) {
+  // Unjudged notes whose miss window has closed by `time`
+  markMissedNotes(time, missWindow = 0.200) {
     const missed = [];
     for (const note of this.notes) {
-      if (!note.judged && !note.missed && (currentTime - note.time) > missWindow) {
+      if (!note.judged && !note.missed && note.time + missWindow <= time) {
         note.missed = true;
         note.judged = true;
         missed.push(note);
@@ -339,35 +559,64 @@ export class BeatmapManager {
     return missed;
   }
 
+  // When the next unjudged note's miss window closes (Infinity if none is left)
+  nextMissDeadline(missWindow = 0.200) {
+    let next = Infinity;
+    for (const note of this.notes) {
+      if (!note.judged) next = Math.min(next, note.time + missWindow);
+    }
+    return next;
+  }
+
   getTotalNotes() {
     return this.notes.length;
   }
 
   isComplete(currentTime) {
     if (this.notes.length === 0) return false;
-    const lastNote = this.notes[this.notes.length - 1];
-    return currentTime > lastNote.time + 2;
+    if (this.notes.some(n => n.holding)) return false;
+    return currentTime > this.getLastNoteEnd() + 2;
+  }
+
+  getLastNoteEnd() {
+    let end = 0;
+    for (const n of this.notes) end = Math.max(end, noteEnd(n));
+    return end;
   }
 
-  initSections() {
-    this.sections = [
-      { name: 'INTRO',         start: 0,    end: 8   },
-      { name: 'VERSE 1',       start: 9,    end: 23  },
-      { name: 'CHORUS',        start: 24,   end: 39  },
-      { name: 'VERSE 2',       start: 40,   end: 46  },
-      { name: 'RAP BREAK',     start: 46,   end: 68  },
-      { name: 'BRIDGE',        start: 68,   end: 75  },
-      { name: 'CHORUS',        start: 76,   end: 105 },
-      { name: 'OUTRO',         start: 105,  end: 119 },
-      { name: 'FINAL CHORUS',  start: 119,  end: 136 },
-    ];
+  // "sections": [{ name, start|bar, end|endBar, color, intensity }] — start/end in seconds,
+  // or bar/endBar counted through the timing points. A section ends where the next begins.
+  loadSections(list) {
+    const toTime = (sec, secKey, barKey) => {
+      if (typeof sec[secKey] === 'number') return sec[secKey];
+      if (typeof sec[barKey] === 'number') return this.timing.barToTime(sec[barKey]);
+      return null;
+    };
+
+    const sections = list
+      .map(sec => ({
+        name: sec.name || '',
+        start: toTime(sec, 'start', 'bar'),
+        end: toTime(sec, 'end', 'endBar'),
+        color: sec.color || null,
+        intensity: typeof sec.intensity === 'number' ? sec.intensity : null,
+      }))
+      .filter(sec => sec.start !== null)
+      .sort((a, b) => a.start - b.start);
+
+    const last = this.getLastNoteEnd() + 2;
+    sections.forEach((sec, i) => {
+      if (sec.end === null) sec.end = i + 1 < sections.length ? sections[i + 1].start : Math.max(last, sec.start);
+    });
+    this.sections = sections;
   }
 
+  // Section containing currentTime (audio time — sections are in chart time)
   getCurrentSection(currentTime) {
-    if (!this.sections.length) this.initSections();
+    const t = currentTime - this.offset;
     for (const s of this.sections) {
-      if (currentTime >= s.start && currentTime < s.end) return s.name;
+      if (t >= s.start && t < s.end) return s;
     }
-    return '';
+    return null;
   }
 }
@@ -0,0 +1,299 @@
+// FINPOP Rhythm Game — Chart Generator
+// Onset + tempo detection on a decoded AudioBuffer, producing beatmap JSON
+
+// Analysis runs on mono audio at roughly this rate (downsampled by whole factors)
+const ANALYSIS_RATE = 22050;
+const FRAME_SIZE = 1024;
+const HOP_SIZE = 256;
+
+// Tempo search range and the prior the autocorrelation is weighted towards
+const MIN_BPM = 70;
+const MAX_BPM = 190;
+const PREFERRED_BPM = 120;
+
+// Per-difficulty note selection
+const DIFFICULTY_RULES = {
+  EASY:   { grid: 1,    keep: 0.35, minGap: 1,    holds: false, chords: false },
+  NORMAL: { grid: 0.5,  keep: 0.7,  minGap: 0.5,  holds: true,  chords: false },
+  HARD:   { grid: 0.25, keep: 1.0,  minGap: 0.25, holds: true,  chords: true  },
+};
+
+export class ChartGenerator {
+  // Returns beatmap JSON (the format BeatmapManager.loadData reads); meta.lanes picks 4–7K
+  generate(buffer, meta = {}) {
+    const lanes = meta.lanes || 4;
+    const { envelope, centroids, fps } = this.analyze(buffer);
+    const { bpm, firstBeat } = this.detectTempo(envelope, fps);
+    const onsets = this.pickOnsets(envelope, centroids, fps);
+
+    const charts = {};
+    for (const [name, rules] of Object.entries(DIFFICULTY_RULES)) {
+      const notes = this.buildNotes(onsets, bpm, firstBeat, rules, lanes);
+      charts[name] = { level: this.estimateLevel(notes, buffer.duration), charter: 'AUTO', notes };
+    }
+
+    return {
+      track: meta.track || 'generated',
+      title: meta.title || 'Untitled',
+      artist: meta.artist || 'Unknown',
+      bpm,
+      offset: 0,
+      lanes,
+      generated: true,
+      timingPoints: [{ time: round(firstBeat), bpm, meter: 4 }],
+      charts,
+      lyrics: [],
+    };
+  }
+
+  // --- Analysis ---
+  // Spectral flux onset envelope plus per-frame spectral centroid (0..1)
+  analyze(buffer) {
+    const factor = Math.max(1, Math.floor(buffer.sampleRate / ANALYSIS_RATE));
+    const rate = buffer.sampleRate / factor;
+    const length = Math.floor(buffer.length / factor);
+
+    const mono = new Float32Array(length);
+    const channels = [];
+    for (let c = 0; c < buffer.numberOfChannels; c++) channels.push(buffer.getChannelData(c));
+    const scale = 1 / (factor * channels.length);
+    for (let i = 0; i < length; i++) {
+      let sum = 0;
+      for (const data of channels) {
+        for (let j = 0; j < factor; j++) sum += data[i * factor + j];
+      }
+      mono[i] = sum * scale;
+    }
+
+    const frames = Math.max(0, Math.floor((length - FRAME_SIZE) / HOP_SIZE) + 1);
+    const envelope = new Float32Array(frames);
+    const centroids = new Float32Array(frames);
+    const bins = FRAME_SIZE / 2;
+    const window = new Float32Array(FRAME_SIZE);
+    for (let i = 0; i < FRAME_SIZE; i++) window[i] = 0.5 - 0.5 * Math.cos(2 * Math.PI * i / (FRAME_SIZE - 1));
+
+    const re = new Float32Array(FRAME_SIZE);
+    const im = new Float32Array(FRAME_SIZE);
+    let prev = new Float32Array(bins);
+    let mag = new Float32Array(bins);
+
+    for (let f = 0; f < frames; f++) {
+      const start = f * HOP_SIZE;
+      for (let i = 0; i < FRAME_SIZE; i++) {
+        re[i] = mono[start + i] * window[i];
+        im[i] = 0;
+      }
+      fft(re, im);
+
+      let flux = 0;
+      let weighted = 0;
+      let total = 0;
+      for (let k = 1; k < bins; k++) {
+        const m = Math.log(1 + 10 * Math.hypot(re[k], im[k]));
+        mag[k] = m;
+        const diff = m - prev[k];
+        if (diff > 0) flux += diff;
+        weighted += k * m;
+        total += m;
+      }
+      envelope[f] = flux;
+      centroids[f] = total > 0 ? weighted / total / bins : 0;
+      [prev, mag] = [mag, prev];
+    }
+
+    // Normalise against a high percentile so a single spike doesn't flatten the rest
+    const sorted = Array.from(envelope).sort((a, b) => a - b);
+    const ref = sorted[Math.floor(sorted.length * 0.99)] || 1;
+    for (let i = 0; i < frames; i++) envelope[i] = Math.min(1, envelope[i] / ref);
+
+    return { envelope, centroids, fps: rate / HOP_SIZE };
+  }
+
+  // Autocorrelation tempo estimate + beat phase from a comb over the envelope
+  detectTempo(envelope, fps) {
+    const n = envelope.length;
+    let mean = 0;
+    for (let i = 0; i < n; i++) mean += envelope[i];
+    mean /= n || 1;
+    const centered = envelope.map(v => v - mean);
+
+    const minLag = Math.floor(60 * fps / MAX_BPM);
+    const maxLag = Math.ceil(60 * fps / MIN_BPM);
+    const scores = new Float32Array(maxLag + 2);
+    let bestLag = minLag;
+    let bestScore = -Infinity;
+    for (let lag = minLag; lag <= maxLag + 1; lag++) {
+      let sum = 0;
+      for (let i = 0; i + lag < n; i++) sum += centered[i] * centered[i + lag];
+      const bpm = 60 * fps / lag;
+      const prior = Math.exp(-0.5 * Math.pow(Math.log2(bpm / PREFERRED_BPM), 2));
+      scores[lag] = sum / Math.max(1, n - lag) * prior;
+      if (lag <= maxLag && scores[lag] > bestScore) { bestScore = scores[lag]; bestLag = lag; }
+    }
+
+    // Parabolic interpolation for a fractional lag
+    let lag = bestLag;
+    if (bestLag > minLag && bestLag < maxLag) {
+      const a = scores[bestLag - 1], b = scores[bestLag], c = scores[bestLag + 1];
+      const denom = a - 2 * b + c;
+      if (denom !== 0) lag = bestLag + 0.5 * (a - c) / denom;
+    }
+
+    let bpm = 60 * fps / lag;
+    // Most tracks sit on a whole BPM; snap when we're close
+    bpm = Math.abs(bpm - Math.round(bpm)) < 0.35 ? Math.round(bpm) : Math.round(bpm * 10) / 10;
+
+    // Beat phase: the offset whose beat comb collects the most onset energy
+    const period = 60 * fps / bpm;
+    let bestPhase = 0;
+    let bestPhaseScore = -Infinity;
+    for (let phase = 0; phase < period; phase++) {
+      let sum = 0;
+      for (let t = phase; t < n; t += period) sum += envelope[Math.round(t)] || 0;
+      if (sum > bestPhaseScore) { bestPhaseScore = sum; bestPhase = phase; }
+    }
+
+    return { bpm, firstBeat: this.frameTime(bestPhase, fps) };
+  }
+
+  // Peaks of the envelope above a moving-average threshold
+  pickOnsets(envelope, centroids, fps) {
+    const n = envelope.length;
+    const avgRadius = Math.round(0.2 * fps);
+    const peakRadius = Math.max(1, Math.round(0.035 * fps));
+    const onsets = [];
+
+    // Running sum for the moving average
+    const prefix = new Float64Array(n + 1);
+    for (let i = 0; i < n; i++) prefix[i + 1] = prefix[i] + envelope[i];
+
+    for (let i = 0; i < n; i++) {
+      const v = envelope[i];
+      let isPeak = true;
+      for (let j = Math.max(0, i - peakRadius); j <= Math.min(n - 1, i + peakRadius); j++) {
+        if (envelope[j] > v || (envelope[j] === v && j < i)) { isPeak = false; break; }
+      }
+      if (!isPeak) continue;
+
+      const lo = Math.max(0, i - avgRadius);
+      const hi = Math.min(n, i + avgRadius + 1);
+      const localMean = (prefix[hi] - prefix[lo]) / (hi - lo);
+      const strength = v - localMean;
+      if (strength > 0.05) {
+        onsets.push({ time: this.frameTime(i, fps), strength, centroid: centroids[i] });
+      }
+    }
+    return onsets;
+  }
+
+  frameTime(frame, fps) {
+    return (frame + FRAME_SIZE / HOP_SIZE / 2) / fps;
+  }
+
+  // --- Charting ---
+  buildNotes(onsets, bpm, firstBeat, rules, lanes = 4) {
+    const beat = 60 / bpm;
+    if (onsets.length === 0) return [];
+
+    // Strongest fraction of onsets for this difficulty
+    const byStrength = [...onsets].sort((a, b) => b.strength - a.strength);
+    const cutoff = byStrength[Math.min(byStrength.length - 1, Math.floor(byStrength.length * rules.keep))].strength;
+    const chordCutoff = byStrength[Math.floor(byStrength.length * 0.1)].strength;
+
+    // Centroid percentiles map brightness to lanes: low = leftmost, high = rightmost
+    const cents = onsets.map(o => o.centroid).sort((a, b) => a - b);
+    const lo = cents[Math.floor(cents.length * 0.1)];
+    const hi = cents[Math.floor(cents.length * 0.9)];
+
+    // Quantise to the grid; the stronger onset wins a contested slot
+    const slots = new Map();
+    for (const o of onsets) {
+      if (o.strength < cutoff) continue;
+      const slot = Math.round((o.time - firstBeat) / beat / rules.grid);
+      const time = firstBeat + slot * rules.grid * beat;
+      if (time < 0.5) continue;
+      const prev = slots.get(slot);
+      if (!prev || prev.strength < o.strength) slots.set(slot, { ...o, time });
+    }
+
+    const picked = [...slots.values()].sort((a, b) => a.time - b.time);
+    const notes = [];
+    let lastTime = -Infinity;
+    let lastLane = -1;
+    let repeats = 0;
+    for (let i = 0; i < picked.length; i++) {
+      const o = picked[i];
+      if (o.time - lastTime < rules.minGap * beat - 0.001) continue;
+
+      const norm = hi > lo ? (o.centroid - lo) / (hi - lo) : 0.5;
+      let lane = Math.max(0, Math.min(lanes - 1, Math.floor(norm * lanes)));
+      // No fast jacks, and no more than two in a row on one lane even when slow
+      if (lane === lastLane) repeats++;
+      else repeats = 0;
+      if (lane === lastLane && (o.time - lastTime < beat || repeats >= 2)) {
+        lane = (lane + (i % 2 === 0 ? 1 : lanes - 1)) % lanes;
+        repeats = 0;
+      }
+
+      const next = picked[i + 1];
+      const gap = next ? next.time - o.time : 0;
+      if (rules.holds && gap >= beat * 2 && o.strength >= chordCutoff) {
+        const duration = Math.floor(Math.min(gap - beat, beat * 4) / (beat / 2)) * (beat / 2);
+        notes.push({ time: round(o.time), lane, type: 'hold', duration: round(duration) });
+      } else {
+        notes.push({ time: round(o.time), lane, type: 'tap' });
+      }
+
+      // Strong downbeats get a second note on the opposite side
+      const beatIndex = Math.round((o.time - firstBeat) / beat);
+      if (rules.chords && o.strength >= chordCutoff && beatIndex % 4 === 0) {
+        const mirror = lanes - 1 - lane;
+        notes.push({ time: round(o.time), lane: mirror === lane ? (lane + 2) % lanes : mirror, type: 'tap' });
+      }
+
+      lastTime = o.time;
+      lastLane = lane;
+    }
+    return notes;
+  }
+
+  // Rough 1–12 level from note density
+  estimateLevel(notes, duration) {
+    const nps = notes.length / Math.max(1, duration);
+    return Math.max(1, Math.min(12, Math.round(nps * 2.5)));
+  }
+}
+
+const round = (t) => Math.round(t * 1000) / 1000;
+
+// In-place iterative radix-2 FFT (length must be a power of two)
+function fft(re, im) {
+  const n = re.length;
+  for (let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1;
+    for (; j & bit; bit >>= 1) j ^= bit;
+    j ^= bit;
+    if (i < j) {
+      [re[i], re[j]] = [re[j], re[i]];
+      [im[i], im[j]] = [im[j], im[i]];
+    }
+  }
+  for (let size = 2; size <= n; size <<= 1) {
+    const half = size >> 1;
+    const step = -2 * Math.PI / size;
+    for (let start = 0; start < n; start += size) {
+      for (let k = 0; k < half; k++) {
+        const cos = Math.cos(step * k);
+        const sin = Math.sin(step * k);
+        const a = start + k;
+        const b = a + half;
+        const tr = re[b] * cos - im[b] * sin;
+        const ti = re[b] * sin + im[b] * cos;
+        re[b] = re[a] - tr;
+        im[b] = im[a] - ti;
+        re[a] += tr;
+        im[a] += ti;
+      }
+    }
+  }
+}
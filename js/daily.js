@@ -0,0 +1,108 @@
+// FINPOP Rhythm Game — Daily Challenge
+// The date seeds one song/difficulty/modifier mix for everyone; one ranked attempt a day, streaks kept locally
+
+import { seededRandom, hashSeed } from './random.js';
+
+// Modifier mixes the daily draws from; scroll speed stays the player's own
+const MIXES = [
+  {},
+  { mirror: true },
+  { random: true },
+  { hidden: true },
+  { sudden: true },
+  { random: true, hidden: true },
+  { mirror: true, sudden: true },
+  { random: true, sudden: true },
+  { mirror: true, hidden: true },
+];
+
+// Local calendar day, YYYY-MM-DD
+export const dayKey = (date = new Date()) =>
+  `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+
+const previousDay = (key) => {
+  const [y, m, d] = key.split('-').map(Number);
+  return dayKey(new Date(y, m - 1, d - 1));
+};
+
+export class DailyChallenge {
+  constructor() {
+    this.attempts = {}; // day -> { startedAt, score?, grade?, failed? } — set when the ranked attempt starts
+  }
+
+  load() {
+    try {
+      const saved = JSON.parse(localStorage.getItem('finpop_daily') || 'null');
+      if (saved && saved.attempts && typeof saved.attempts === 'object') this.attempts = saved.attempts;
+    } catch (e) { /* localStorage unavailable or corrupt — start fresh */ }
+  }
+
+  save() {
+    try {
+      localStorage.setItem('finpop_daily', JSON.stringify({ attempts: this.attempts }));
+    } catch (e) { /* localStorage unavailable */ }
+  }
+
+  // Today's draw from `songs` (the built-in library — never the player's own files).
+  // The difficulty is picked once the chart is loaded: resolveDifficulty(challenge, declared).
+  draw(songs, day = dayKey()) {
+    const random = seededRandom(hashSeed(`finpop-daily:${day}`));
+    const song = songs[Math.floor(random() * songs.length)];
+    const difficultyRoll = random();
+    const mix = MIXES[Math.floor(random() * MIXES.length)];
+    const seed = 1 + Math.floor(random() * 9999);
+    return {
+      day,
+      songId: song ? song.id : null,
+      difficultyRoll,
+      mods: { ...mix, seed }, // normalizeModifiers() with the player's speed before play
+    };
+  }
+
+  resolveDifficulty(challenge, declared) {
+    return declared[Math.min(declared.length - 1, Math.floor(challenge.difficultyRoll * declared.length))];
+  }
+
+  attempt(day = dayKey()) {
+    return this.attempts[day] || null;
+  }
+
+  // The attempt is spent as soon as it starts, so quitting or reloading doesn't give another
+  startAttempt(day) {
+    this.attempts[day] = { startedAt: Date.now() };
+    this.save();
+  }
+
+  finishAttempt(day, stats) {
+    if (!this.attempts[day]) return;
+    Object.assign(this.attempts[day], { score: stats.score, grade: stats.grade, failed: stats.failed });
+    this.save();
+  }
+
+  // Consecutive days with a cleared attempt, ending today (or yesterday, if today's isn't played yet)
+  getStreak(today = dayKey()) {
+    const cleared = (day) => {
+      const a = this.attempts[day];
+      return !!a && a.score !== undefined && !a.failed;
+    };
+    let day = cleared(today) ? today : previousDay(today);
+    let streak = 0;
+    while (cleared(day)) {
+      streak++;
+      day = previousDay(day);
+    }
+    return streak;
+  }
+
+  // Longest run of consecutive cleared days ever
+  getBestStreak() {
+    const days = Object.keys(this.attempts).filter(d => this.attempts[d].score !== undefined && !this.attempts[d].failed).sort();
+    let best = 0, run = 0, prev = null;
+    for (const day of days) {
+      run = prev && previousDay(day) === prev ? run + 1 : 1;
+      best = Math.max(best, run);
+      prev = day;
+    }
+    return best;
+  }
+}
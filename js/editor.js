@@ -0,0 +1,512 @@
+// FINPOP Rhythm Game — Beatmap Editor
+// Waveform timeline with a beat-snap grid for placing tap and hold notes
+
+import { TimingMap } from './timing.js';
+import { laneColors } from './renderer.js';
+import { ChartGenerator } from './chartgen.js';
+import { LANE_COUNTS } from './beatmap.js';
+
+// Grid subdivisions per beat, cycled with S
+const SNAP_DIVISORS = [1, 2, 3, 4, 6, 8];
+
+// Waveform resolution (peak buckets per second of audio)
+const PEAKS_PER_SECOND = 200;
+
+// Lane keys for placing notes at the cursor: D F J K (the default 4K play bindings),
+// and 1–7 for any lane count
+const LANE_KEYS = { d: 0, f: 1, j: 2, k: 3 };
+const NUMBER_KEYS = ['1', '2', '3', '4', '5', '6', '7'];
+
+export class BeatmapEditor {
+  constructor() {
+    this.canvas = null;
+    this.renderer = null;
+    this.active = false;
+
+    this.notes = [];          // { time, lane, type, duration } in chart time
+    this.charts = {};         // difficulty name -> working note list
+    this.lanes = {};          // difficulty name -> lane count
+    this.difficulty = 'NORMAL';
+    this.difficulties = [];
+    this.timing = new TimingMap();
+    this.duration = 0;
+
+    this.cursorTime = 0;      // chart time at the cursor line
+    this.pixelsPerSecond = 240;
+    this.snapIndex = 3;       // 1/4 beat
+    this.selected = null;
+    this.dirty = false;
+
+    this.peaks = null;        // Float32Array of [min, max] pairs
+    this.peaksBuffer = null;  // AudioBuffer the peaks were computed from
+    this.generated = {};      // lane count -> auto-chart for peaksBuffer, computed on first G
+
+    this.drag = null;         // { mode: 'move' | 'hold', note, startY, ... }
+    this.message = '';
+    this.messageTime = 0;
+  }
+
+  init(canvas, renderer) {
+    this.canvas = canvas;
+    this.renderer = renderer;
+
+    canvas.addEventListener('mousedown', (e) => { if (this.active) this.onMouseDown(e); });
+    window.addEventListener('mousemove', (e) => { if (this.active) this.onMouseMove(e); });
+    window.addEventListener('mouseup', (e) => { if (this.active) this.onMouseUp(e); });
+    canvas.addEventListener('wheel', (e) => {
+      if (!this.active) return;
+      e.preventDefault();
+      this.onWheel(e);
+    }, { passive: false });
+    canvas.addEventListener('contextmenu', (e) => { if (this.active) e.preventDefault(); });
+  }
+
+  // Start editing the loaded beatmap at the given difficulty
+  open(beatmap, buffer, difficulty) {
+    this.active = true;
+    this.timing = new TimingMap(beatmap.timing.points, [], beatmap.bpm);
+    this.duration = buffer ? buffer.duration : beatmap.duration;
+    this.difficulties = [...beatmap.difficulties];
+    this.charts = {};
+    this.lanes = {};
+    for (const name of this.difficulties) {
+      const chart = beatmap.charts[name];
+      this.lanes[name] = beatmap.getLaneCount(name);
+      // Derived difficulties start empty so charters author them from scratch
+      this.charts[name] = chart && chart.notes
+        ? chart.notes.map(n => ({ time: n.time, lane: n.lane, type: n.type, duration: n.duration }))
+        : [];
+    }
+    this.setDifficulty(this.difficulties.includes(difficulty) ? difficulty : this.difficulties[0]);
+    this.selected = null;
+    this.drag = null;
+    this.dirty = false;
+
+    if (buffer && buffer !== this.peaksBuffer) {
+      this.peaks = this.computePeaks(buffer);
+      this.peaksBuffer = buffer;
+      this.generated = {};
+    }
+  }
+
+  close() {
+    this.active = false;
+    this.drag = null;
+  }
+
+  setDifficulty(name) {
+    this.difficulty = name;
+    this.notes = this.charts[name];
+    this.selected = null;
+    this.renderer.setLaneCount(this.laneCount);
+  }
+
+  get laneCount() {
+    return this.lanes[this.difficulty];
+  }
+
+  // Step the current difficulty through 4K–7K; lanes that still hold notes can't be removed
+  cycleLaneCount() {
+    const next = LANE_COUNTS[(LANE_COUNTS.indexOf(this.laneCount) + 1) % LANE_COUNTS.length];
+    const highest = this.notes.reduce((max, n) => Math.max(max, n.lane), -1);
+    if (highest >= next) {
+      this.flash(`LANE ${highest + 1} HAS NOTES — MOVE THEM FIRST`);
+      return;
+    }
+    this.lanes[this.difficulty] = next;
+    this.renderer.setLaneCount(next);
+    this.dirty = true;
+    this.flash(`${next}K`);
+  }
+
+  get snapDivisor() {
+    return SNAP_DIVISORS[this.snapIndex];
+  }
+
+  // Write the working charts back into the BeatmapManager (for test-play/export)
+  applyTo(beatmap) {
+    for (const name of this.difficulties) {
+      if (this.charts[name].length > 0) beatmap.setChartNotes(name, this.charts[name], this.lanes[name]);
+    }
+  }
+
+  // --- Waveform ---
+  computePeaks(buffer) {
+    const buckets = Math.ceil(buffer.duration * PEAKS_PER_SECOND);
+    const size = buffer.length / buckets;
+    const channels = [];
+    for (let c = 0; c < buffer.numberOfChannels; c++) channels.push(buffer.getChannelData(c));
+    const peaks = new Float32Array(buckets * 2);
+
+    for (let b = 0; b < buckets; b++) {
+      const from = Math.floor(b * size);
+      const to = Math.min(buffer.length, Math.floor((b + 1) * size));
+      let min = 0;
+      let max = 0;
+      for (let i = from; i < to; i++) {
+        let v = 0;
+        for (const data of channels) v += data[i];
+        v /= channels.length;
+        if (v < min) min = v;
+        if (v > max) max = v;
+      }
+      peaks[b * 2] = min;
+      peaks[b * 2 + 1] = max;
+    }
+    return peaks;
+  }
+
+  // --- Coordinates ---
+  timeToY(t) {
+    const { hitLineY } = this.renderer.getLayout();
+    return hitLineY - (t - this.cursorTime) * this.pixelsPerSecond;
+  }
+
+  yToTime(y) {
+    const { hitLineY } = this.renderer.getLayout();
+    return this.cursorTime + (hitLineY - y) / this.pixelsPerSecond;
+  }
+
+  xToLane(x) {
+    const { laneAreaX, laneWidth } = this.renderer.getLayout();
+    const lane = Math.floor((x - laneAreaX) / laneWidth);
+    return lane >= 0 && lane < this.laneCount ? lane : -1;
+  }
+
+  snapTime(t) {
+    return Math.max(0, Math.min(this.duration, this.timing.snap(t, this.snapDivisor)));
+  }
+
+  eventPos(e) {
+    const rect = this.canvas.getBoundingClientRect();
+    return { x: e.clientX - rect.left, y: e.clientY - rect.top };
+  }
+
+  noteAt(x, y) {
+    const lane = this.xToLane(x);
+    if (lane < 0) return null;
+    const tolerance = 8 / this.pixelsPerSecond + 0.01;
+    const t = this.yToTime(y);
+    return this.notes.find(n => n.lane === lane && (
+      Math.abs(n.time - t) <= tolerance ||
+      (n.type === 'hold' && t >= n.time && t <= n.time + n.duration)
+    )) || null;
+  }
+
+  // --- Editing ---
+  addNote(time, lane, type = 'tap', duration = 0) {
+    // One note per lane per grid slot
+    const existing = this.notes.find(n => n.lane === lane && Math.abs(n.time - time) < 0.001);
+    if (existing) return existing;
+    const note = { time, lane, type, duration };
+    this.notes.push(note);
+    this.sortNotes();
+    this.dirty = true;
+    return note;
+  }
+
+  deleteNote(note) {
+    const i = this.notes.indexOf(note);
+    if (i < 0) return;
+    this.notes.splice(i, 1);
+    if (this.selected === note) this.selected = null;
+    this.dirty = true;
+  }
+
+  sortNotes() {
+    this.notes.sort((a, b) => a.time - b.time || a.lane - b.lane);
+  }
+
+  // Tap <-> hold (holds start one beat long)
+  toggleHold(note) {
+    if (note.type === 'hold') {
+      note.type = 'tap';
+      note.duration = 0;
+    } else {
+      note.type = 'hold';
+      note.duration = this.timing.beatDuration(note.time);
+    }
+    this.dirty = true;
+  }
+
+  resizeHold(note, steps) {
+    if (note.type !== 'hold') return;
+    const step = this.timing.beatDuration(note.time) / this.snapDivisor;
+    note.duration = Math.max(step, note.duration + steps * step);
+    this.dirty = true;
+  }
+
+  flash(message) {
+    this.message = message;
+    this.messageTime = performance.now();
+  }
+
+  // --- Mouse ---
+  onMouseDown(e) {
+    const { x, y } = this.eventPos(e);
+    const hit = this.noteAt(x, y);
+
+    if (e.button === 2) {
+      if (hit) this.deleteNote(hit);
+      return;
+    }
+
+    const lane = this.xToLane(x);
+    if (lane < 0) return;
+
+    if (hit) {
+      this.selected = hit;
+      this.drag = { mode: 'move', note: hit, offset: hit.time - this.yToTime(y) };
+    } else {
+      const time = this.snapTime(this.yToTime(y));
+      const note = this.addNote(time, lane);
+      this.selected = note;
+      // Dragging upward from a fresh note stretches it into a hold
+      this.drag = { mode: 'hold', note, startY: y };
+    }
+  }
+
+  onMouseMove(e) {
+    if (!this.drag) return;
+    const { x, y } = this.eventPos(e);
+    const note = this.drag.note;
+
+    if (this.drag.mode === 'move') {
+      const lane = this.xToLane(x);
+      if (lane >= 0) note.lane = lane;
+      note.time = this.snapTime(this.yToTime(y) + this.drag.offset);
+      this.dirty = true;
+    } else if (this.drag.startY - y > 6) {
+      const end = this.snapTime(this.yToTime(y));
+      if (end > note.time) {
+        note.type = 'hold';
+        note.duration = end - note.time;
+      } else {
+        note.type = 'tap';
+        note.duration = 0;
+      }
+      this.dirty = true;
+    }
+  }
+
+  onMouseUp() {
+    if (!this.drag) return;
+    this.drag = null;
+    this.sortNotes();
+  }
+
+  onWheel(e) {
+    if (e.ctrlKey || e.metaKey) {
+      const factor = e.deltaY < 0 ? 1.15 : 1 / 1.15;
+      this.pixelsPerSecond = Math.max(40, Math.min(1200, this.pixelsPerSecond * factor));
+      return;
+    }
+    const step = this.timing.beatDuration(this.cursorTime) / this.snapDivisor;
+    this.moveCursor(e.deltaY < 0 ? step : -step);
+  }
+
+  moveCursor(delta) {
+    this.cursorTime = Math.max(0, Math.min(this.duration, this.snapTime(this.cursorTime + delta)));
+  }
+
+  // --- Keyboard (polled from the game loop) ---
+  // Returns an action for the game to carry out: 'exit' | 'test' | 'export' | 'play' | null
+  handleInput(input) {
+    const key = (k) => input.isKeyJustPressed(k);
+    const beat = this.timing.beatDuration(this.cursorTime);
+
+    if (input.escPressed) return 'exit';
+    if (key('t') || key('T')) return 'test';
+    if (key('e') || key('E')) return 'export';
+    if (key(' ')) return 'play';
+
+    if (key('ArrowUp')) this.moveCursor(beat / this.snapDivisor);
+    if (key('ArrowDown')) this.moveCursor(-beat / this.snapDivisor);
+    if (key('PageUp')) this.moveCursor(beat * this.timing.pointAt(this.cursorTime).meter);
+    if (key('PageDown')) this.moveCursor(-beat * this.timing.pointAt(this.cursorTime).meter);
+    if (key('Home')) this.cursorTime = 0;
+
+    if (key('s') || key('S')) {
+      this.snapIndex = (this.snapIndex + 1) % SNAP_DIVISORS.length;
+      this.flash(`SNAP 1/${this.snapDivisor}`);
+    }
+    if (key('Tab')) {
+      const i = this.difficulties.indexOf(this.difficulty);
+      this.setDifficulty(this.difficulties[(i + 1) % this.difficulties.length]);
+      this.flash(`EDITING ${this.difficulty}`);
+    }
+    if (key('g') || key('G')) this.autoChart();
+    if (key('l') || key('L')) this.cycleLaneCount();
+
+    const place = (lane) => { this.selected = this.addNote(this.snapTime(this.cursorTime), lane); };
+    if (this.laneCount === 4) {
+      for (const [k, lane] of Object.entries(LANE_KEYS)) {
+        if (key(k) || key(k.toUpperCase())) place(lane);
+      }
+    }
+    NUMBER_KEYS.slice(0, this.laneCount).forEach((k, lane) => { if (key(k)) place(lane); });
+
+    if (this.selected) {
+      if (key('Delete') || key('Backspace')) this.deleteNote(this.selected);
+      else if (key('h') || key('H')) this.toggleHold(this.selected);
+      else if (key(']')) this.resizeHold(this.selected, 1);
+      else if (key('[')) this.resizeHold(this.selected, -1);
+    }
+    return null;
+  }
+
+  // Fill an empty difficulty with the onset-detected chart as a starting point
+  autoChart() {
+    if (!this.peaksBuffer) return;
+    if (this.notes.length > 0) {
+      this.flash('CLEAR THE CHART BEFORE AUTO-CHARTING');
+      return;
+    }
+    const lanes = this.laneCount;
+    if (!this.generated[lanes]) this.generated[lanes] = new ChartGenerator().generate(this.peaksBuffer, { lanes });
+    const generated = this.generated[lanes];
+    const chart = generated.charts[this.difficulty] || generated.charts.NORMAL;
+    for (const n of chart.notes) {
+      this.notes.push({ time: n.time, lane: n.lane, type: n.type, duration: n.duration || 0 });
+    }
+    this.sortNotes();
+    this.dirty = true;
+    this.flash(`AUTO-CHARTED ${this.notes.length} NOTES @ ${generated.bpm} BPM`);
+  }
+
+  // --- Rendering ---
+  render(ctx) {
+    const layout = this.renderer.getLayout();
+    const { w, h, laneAreaX, laneAreaWidth, laneWidth, hitLineY } = layout;
+    const from = this.yToTime(h);
+    const to = this.yToTime(0);
+
+    // Lane backgrounds
+    const colors = laneColors(this.laneCount);
+    for (let i = 0; i < this.laneCount; i++) {
+      ctx.fillStyle = colors[i].bg;
+      ctx.fillRect(laneAreaX + i * laneWidth, 0, laneWidth, h);
+    }
+
+    this.renderWaveform(ctx, from, to, layout);
+
+    // Beat-snap grid
+    for (const line of this.timing.getBeatLines(Math.max(0, from), to, this.snapDivisor)) {
+      const y = this.timeToY(line.time);
+      ctx.strokeStyle = line.kind === 'bar' ? 'rgba(255,255,255,0.35)'
+                      : line.kind === 'beat' ? 'rgba(255,255,255,0.15)'
+                      : 'rgba(0,212,255,0.08)';
+      ctx.lineWidth = line.kind === 'bar' ? 1.5 : 1;
+      ctx.beginPath();
+      ctx.moveTo(laneAreaX, y);
+      ctx.lineTo(laneAreaX + laneAreaWidth, y);
+      ctx.stroke();
+    }
+
+    // Time ruler (whole seconds)
+    ctx.font = '9px monospace';
+    ctx.textAlign = 'right';
+    ctx.fillStyle = 'rgba(255,255,255,0.35)';
+    for (let s = Math.max(0, Math.ceil(from)); s <= to; s++) {
+      ctx.fillText(this.formatTime(s), laneAreaX - 6, this.timeToY(s) + 3);
+    }
+
+    // Notes
+    for (const note of this.notes) {
+      const end = note.time + (note.type === 'hold' ? note.duration : 0);
+      if (end < from || note.time > to) continue;
+      this.renderNote(ctx, note, layout);
+    }
+
+    // Cursor line
+    ctx.strokeStyle = '#00ff88';
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.moveTo(laneAreaX - 40, hitLineY);
+    ctx.lineTo(laneAreaX + laneAreaWidth + 10, hitLineY);
+    ctx.stroke();
+
+    this.renderHeader(ctx, w, h);
+  }
+
+  renderWaveform(ctx, from, to, layout) {
+    if (!this.peaks) return;
+    const { laneAreaX, laneAreaWidth } = layout;
+    const centerX = laneAreaX + laneAreaWidth / 2;
+    const halfWidth = laneAreaWidth / 2;
+    const buckets = this.peaks.length / 2;
+
+    ctx.fillStyle = 'rgba(0,212,255,0.18)';
+    const step = 2; // px per drawn row
+    for (let y = 0; y < layout.h; y += step) {
+      const t = this.yToTime(y);
+      if (t < 0 || t > this.duration) continue;
+      const b = Math.min(buckets - 1, Math.floor(t * PEAKS_PER_SECOND));
+      const min = this.peaks[b * 2];
+      const max = this.peaks[b * 2 + 1];
+      ctx.fillRect(centerX + min * halfWidth, y, (max - min) * halfWidth || 1, step);
+    }
+  }
+
+  renderNote(ctx, note, layout) {
+    const { laneAreaX, laneWidth } = layout;
+    const color = laneColors(this.laneCount)[note.lane];
+    const x = laneAreaX + note.lane * laneWidth;
+    const noteWidth = laneWidth * 0.7;
+    const noteX = x + (laneWidth - noteWidth) / 2;
+    const y = this.timeToY(note.time);
+
+    if (note.type === 'hold') {
+      const tailY = this.timeToY(note.time + note.duration);
+      ctx.fillStyle = `rgba(${this.renderer.hexToRgb(color.main)},0.3)`;
+      ctx.fillRect(noteX + noteWidth * 0.2, tailY, noteWidth * 0.6, y - tailY);
+    }
+
+    ctx.fillStyle = color.main;
+    this.renderer.roundRect(noteX, y - 6, noteWidth, 12, 3);
+    ctx.fill();
+
+    if (note === this.selected) {
+      ctx.strokeStyle = '#ffffff';
+      ctx.lineWidth = 2;
+      this.renderer.roundRect(noteX - 2, y - 8, noteWidth + 4, 16, 4);
+      ctx.stroke();
+    }
+  }
+
+  renderHeader(ctx, w, h) {
+    ctx.fillStyle = 'rgba(10,10,26,0.85)';
+    ctx.fillRect(0, 0, w, 56);
+
+    ctx.font = 'bold 13px monospace';
+    ctx.textAlign = 'left';
+    ctx.fillStyle = '#00d4ff';
+    ctx.fillText(`CHART EDITOR — ${this.difficulty} ${this.laneCount}K${this.dirty ? ' *' : ''}`, 20, 22);
+    ctx.font = '11px monospace';
+    ctx.fillStyle = 'rgba(255,255,255,0.6)';
+    const bpm = this.timing.pointAt(this.cursorTime).bpm;
+    ctx.fillText(`${this.formatTime(this.cursorTime, true)} | ${bpm} BPM | SNAP 1/${this.snapDivisor} | ${this.notes.length} NOTES`, 20, 42);
+
+    ctx.textAlign = 'right';
+    ctx.fillStyle = 'rgba(255,255,255,0.35)';
+    ctx.font = '10px monospace';
+    ctx.fillText('CLICK place · DRAG move / stretch hold · RIGHT-CLICK delete', w - 20, 22);
+    ctx.fillText('D F J K / 1–7 place at cursor · H hold · [ ] length · S snap · TAB difficulty · L lanes · G auto-chart', w - 20, 36);
+    ctx.fillText('↑↓ / WHEEL scroll · CTRL+WHEEL zoom · SPACE play · T test · E export · ESC exit', w - 20, 50);
+
+    if (this.message && performance.now() - this.messageTime < 1500) {
+      ctx.font = 'bold 16px monospace';
+      ctx.textAlign = 'center';
+      ctx.fillStyle = '#FFD700';
+      ctx.fillText(this.message, w / 2, h / 2);
+    }
+  }
+
+  formatTime(t, precise = false) {
+    const m = Math.floor(t / 60);
+    const s = t - m * 60;
+    return precise
+      ? `${m}:${s.toFixed(3).padStart(6, '0')}`
+      : `${m}:${Math.floor(s).toString().padStart(2, '0')}`;
+  }
+}
@@ -3,27 +3,62 @@
 
 import { AudioEngine, SFXEngine } from './audio.js';
 import { InputHandler } from './input.js';
-import { Renderer } from './renderer.js';
+import { Renderer, laneColors } from './renderer.js';
 import { BeatmapManager } from './beatmap.js';
 import { Scorer, Judgment, TIMING } from './scorer.js';
+import { Judge } from './judge.js';
 import { UI } from './ui.js';
+import { SongLibrary } from './songs.js';
+import { Settings, PAD } from './settings.js';
+import { Modifiers, normalizeModifiers, laneMap, describeModifiers } from './modifiers.js';
+import { PlayHistory, summarizeHistory } from './history.js';
+import { Achievements } from './achievements.js';
+import { DailyChallenge } from './daily.js';
+import { LeaderboardClient } from './leaderboard.js';
+import { BeatmapEditor } from './editor.js';
+import { ReplayRecorder, ReplayPlayer, parseReplay, saveReplay, getBestReplay, toReplayTime, decodeReplay, reproducesResult } from './replay.js';
 
 const State = {
   LOADING: 'LOADING',
   TITLE: 'TITLE',
+  SONG_SELECT: 'SONG_SELECT',
   COUNTDOWN: 'COUNTDOWN',
   PLAYING: 'PLAYING',
   PAUSED: 'PAUSED',
   RESULTS: 'RESULTS',
   CALIBRATION: 'CALIBRATION',
+  PRACTICE_SETUP: 'PRACTICE_SETUP',
+  EDITOR: 'EDITOR',
+  SETTINGS: 'SETTINGS',
+  PROFILE: 'PROFILE',
+  ACHIEVEMENTS: 'ACHIEVEMENTS',
+  DAILY: 'DAILY',
 };
 
+// Practice mode playback speeds (fraction of full speed)
+const PRACTICE_MIN_RATE = 0.5;
+const PRACTICE_MAX_RATE = 0.9;
+
+// Note approach time for the standard difficulties; the note lists come from the chart
 const DIFFICULTY = {
-  EASY:   { label: 'EASY',   approachTime: 2.5, filter: 0.45 },
-  NORMAL: { label: 'NORMAL', approachTime: 2.0, filter: 1.0  },
-  HARD:   { label: 'HARD',   approachTime: 1.5, filter: 1.0, extra: true },
+  EASY:   { label: 'EASY',   approachTime: 2.5 },
+  NORMAL: { label: 'NORMAL', approachTime: 2.0 },
+  HARD:   { label: 'HARD',   approachTime: 1.5 },
 };
 
+// Custom chart difficulties (e.g. EXPERT) get faster approach the higher their level
+function getDifficultyConfig(name, level = 0) {
+  if (DIFFICULTY[name]) return DIFFICULTY[name];
+  const approachTime = Math.max(1.2, Math.min(2.6, 2.6 - level * 0.12));
+  return { label: name, approachTime };
+}
+
+// Re-simulating a shared replay steps the judge this far at a time (settle() keeps results independent of it)
+const RESIMULATE_STEP = 0.05;
+
+// Resolves after the browser has had a chance to paint
+const nextFrame = () => new Promise(resolve => requestAnimationFrame(() => setTimeout(resolve, 0)));
+
 class Game {
   constructor() {
     this.audio = new AudioEngine();
@@ -33,6 +68,14 @@ class Game {
     this.beatmap = new BeatmapManager();
     this.scorer = new Scorer();
     this.ui = new UI();
+    this.library = new SongLibrary();
+    this.editor = new BeatmapEditor();
+    this.settings = new Settings();
+    this.modifiers = new Modifiers();
+    this.runMods = normalizeModifiers(null); // what the current (or last) run was played with
+    this.bindCapture = null; // { lane, slot, pad } while the settings screen waits for a key/button
+    this.midiLearn = null; // lane waiting for a MIDI note in learn mode
+    this.currentSong = null;
 
     this.state = State.LOADING;
     this.countdownTimer = 0;
@@ -44,6 +87,31 @@ class Game {
     // Difficulty
     this.difficulty = 'NORMAL';
 
+    // Practice mode: null for ranked play, else { start, end, rate, loops, testPlay? }
+    this.practice = null;
+
+    // Daily challenge: { day, mods, ranked } from opening it until its ranked run ends or the player leaves
+    this.dailyChallenge = new DailyChallenge();
+    this.daily = null;
+
+    // Replays: ranked runs are recorded; `playback` is set while watching one
+    this.recorder = new ReplayRecorder();
+
+    // Judges lane events — from input, or from the replay being watched — and shows what it decides
+    this.judge = new Judge(this.beatmap, this.scorer, {
+      input: (event) => this.recorder.record(event),
+      hitError: (timeDiff, judgment) => this.onHitError(timeDiff, judgment),
+      judged: (judgment, lane, time, timeDiff, result) => this.onJudged(judgment, lane, time, timeDiff, result),
+    });
+    this.history = new PlayHistory();
+    this.achievements = new Achievements();
+    this.lastReplay = null;
+    this.playback = null;
+    this.leaderboard = new LeaderboardClient();
+    this.boardRun = null; // the replay whose board the results screen shows
+    this.boardScope = 'global'; // or 'friends'
+    this.playbackMismatch = false;
+
     // Calibration
     this.calibrationOffset = parseFloat(localStorage.getItem('finpop_offset') || '0');
     this.calibrationTaps = [];
@@ -60,36 +128,86 @@ class Game {
 
     this.renderer.init(canvas);
     this.input.init(canvas);
+    this.editor.init(canvas, this.renderer);
     this.ui.init();
+    this.settings.load();
+    this.modifiers.load();
+    this.achievements.load();
+    this.dailyChallenge.load();
+    this.leaderboard.load();
+    this.applySettings();
+    // Only ask for MIDI access again if the player has used it before
+    if (this.settings.midiEnabled) this.input.enableMidi();
 
     this.ui.showLoading(0, 'Initializing systems...');
 
-    this.ui.showLoading(0.5, 'Loading beatmap data...');
-    await this.beatmap.load('assets/beatmaps/payments_on_lock.json');
-    this.lyrics = this.beatmap.lyrics || [];
+    await this.history.open();
 
-    this.ui.showLoading(0.7, 'Loading audio track...');
-    await this.audio.loadTrack('assets/audio/payments-on-lock.mp3');
+    this.ui.showLoading(0.3, 'Loading song library...');
+    await this.library.load('assets/songs.json');
 
-    this.ui.showLoading(1, 'Systems online.');
+    // A challenge link opens on the challenger's track, so its replay can be checked against the chart
+    const shared = this.ui.parseShareUrl();
+    let sharedReplay = null;
+    if (shared && shared.replay) {
+      sharedReplay = await decodeReplay(shared.replay).catch(e => {
+        console.warn('Shared replay unreadable:', e.message);
+        return null;
+      });
+      const index = sharedReplay ? this.library.findSong(sharedReplay.songId) : -1;
+      if (index >= 0) this.library.select(index);
+    }
+
+    await this.loadSong(this.library.selected);
+
+    if (shared) {
+      this.ui.showLoading(0.9, 'Verifying challenge...');
+      this.showChallengeBanner(shared, sharedReplay);
+    }
 
-    const sharedScore = this.ui.parseShareUrl();
-    if (sharedScore) this.showChallengeBanner(sharedScore);
+    this.ui.showLoading(1, 'Systems online.');
 
     await new Promise(r => setTimeout(r, 500));
     this.ui.hideLoading();
     this.state = State.TITLE;
     this.ui.showTitle();
-    this.ui.showBestScore();
+    this.ui.showBestScore(this.getBest());
 
     this.lastFrameTime = performance.now();
     requestAnimationFrame((t) => this.loop(t));
   }
 
+  async loadSong(song) {
+    // Audio first: a missing beatmap is charted from the decoded track
+    this.ui.showLoading(0.5, 'Loading audio track...');
+    await this.audio.loadTrack(song.audio);
+
+    if (song.beatmap) {
+      this.ui.showLoading(0.7, `Loading beatmap: ${song.title}...`);
+      await this.beatmap.load(song.beatmap, this.audio.buffer);
+    } else {
+      this.ui.showLoading(0.7, `Charting ${song.title} from audio...`);
+      await nextFrame(); // let the loading screen paint before the analysis blocks
+      this.beatmap.generateFromAudio(this.audio.buffer, { track: song.id, title: song.title, artist: song.artist });
+      song.bpm = this.beatmap.bpm;
+    }
+    this.lyrics = this.beatmap.lyrics || [];
+    this.syncDifficulties();
+
+    this.currentSong = song;
+    this.renderer.trackTitle = song.title.toUpperCase();
+  }
+
+  getBest() {
+    return this.currentSong ? this.library.getBest(this.currentSong.id) : null;
+  }
+
   loop(timestamp) {
     const dt = Math.min((timestamp - this.lastFrameTime) / 1000, 0.05);
     this.lastFrameTime = timestamp;
 
+    this.audio.syncClock();
+    this.input.pollGamepads();
     this.update(dt);
     this.render(dt);
     this.input.update();
@@ -99,30 +217,167 @@ class Game {
   update(dt) {
     switch (this.state) {
       case State.TITLE:       this.updateTitle(dt); break;
+      case State.SONG_SELECT: this.updateSongSelect(dt); break;
       case State.COUNTDOWN:   this.updateCountdown(dt); break;
       case State.PLAYING:     this.updatePlaying(dt); break;
       case State.PAUSED:      this.updatePaused(dt); break;
-      case State.RESULTS:     break;
+      case State.RESULTS:     this.updateResults(dt); break;
       case State.CALIBRATION: this.updateCalibration(dt); break;
+      case State.PRACTICE_SETUP: this.updatePracticeSetup(dt); break;
+      case State.EDITOR:      this.updateEditor(dt); break;
+      case State.SETTINGS:    this.updateSettings(dt); break;
+      case State.PROFILE:     this.updateProfile(dt); break;
+      case State.ACHIEVEMENTS: this.updateAchievements(dt); break;
+      case State.DAILY:       this.updateDaily(dt); break;
     }
     this.renderer.updateEffects(dt);
   }
 
   // --- TITLE ---
   updateTitle(dt) {
-    if (this.input.consumeAnyKey()) this.tryStart();
+    const input = this.input;
+    // Gamepad: ←/→ pick the difficulty, ↑/↓ walk the title's buttons, A presses the focused one
+    if (input.isButtonJustPressed(PAD.LEFT)) this.cycleDifficulty(-1);
+    else if (input.isButtonJustPressed(PAD.RIGHT)) this.cycleDifficulty(1);
+    else if (input.isButtonJustPressed(PAD.UP)) this.ui.moveFocus(this.ui.titleScreen, -1);
+    else if (input.isButtonJustPressed(PAD.DOWN)) this.ui.moveFocus(this.ui.titleScreen, 1);
+    else if (input.isButtonJustPressed(PAD.A) && this.ui.clickFocused(this.ui.titleScreen)) input.consumeAnyKey();
+
+    if (input.consumeAnyKey()) this.tryStart();
   }
 
   tryStart() {
     if (this.state === State.TITLE) {
-      this.startCountdown().catch(e => {
-        console.error('Start failed:', e);
+      this.openSongSelect().catch(e => {
+        console.error('Song select failed:', e);
         this.state = State.TITLE;
         this.ui.showTitle();
       });
     }
   }
 
+  // --- LOCAL FILES ---
+  // Decode a dropped/picked audio file, add it to the library and open it in song select.
+  // Nothing leaves the browser: the audio stays in memory, the chart is generated locally.
+  async loadLocalFile(file) {
+    if (this.state !== State.TITLE && this.state !== State.SONG_SELECT) return;
+    if (!this.audioReady) {
+      await this.audio.init();
+      this.audioReady = true;
+    }
+    await this.audio.resume();
+
+    this.audio.stopPreview();
+    this.ui.hideTitle();
+    this.ui.hideSongSelect();
+    this.state = State.LOADING;
+
+    try {
+      this.ui.showLoading(0.1, `Reading ${file.name}...`);
+      const data = await file.arrayBuffer();
+      const id = this.library.identifyLocal(data);
+
+      let index = this.library.findSong(id);
+      if (index < 0) {
+        this.ui.showLoading(0.3, 'Decoding audio...');
+        const buffer = await this.audio.decodeData(`local:${id}`, data);
+        index = this.library.addLocal(id, file.name, buffer.duration);
+      }
+      this.library.select(index);
+      await this.loadSong(this.library.selected);
+      this.ui.hideLoading();
+      this.ui.showTitleNotice(null);
+      this.state = State.TITLE;
+      await this.openSongSelect();
+    } catch (e) {
+      console.warn('Local file failed:', e.message);
+      this.ui.hideLoading();
+      this.state = State.TITLE;
+      this.ui.showTitle();
+      this.ui.showTitleNotice(`Couldn't play ${file.name} — is it an audio file?`);
+    }
+  }
+
+  // --- SONG SELECT ---
+  async openSongSelect() {
+    if (!this.audioReady) {
+      await this.audio.init();
+      this.audioReady = true;
+    }
+    await this.audio.resume();
+
+    this.ui.hideTitle();
+    this.ui.hideResults();
+    this.state = State.SONG_SELECT;
+    this.ui.showSongSelect(this.library.songs, this.library.selectedIndex, id => this.library.getBest(id));
+    this.focusSong(this.library.selectedIndex);
+  }
+
+  updateSongSelect(dt) {
+    const input = this.input;
+    const pad = (...buttons) => buttons.some(b => input.isButtonJustPressed(b));
+    if (input.isKeyJustPressed('ArrowUp') || input.isKeyJustPressed('ArrowLeft') || pad(PAD.UP, PAD.LEFT)) {
+      this.focusSong(this.library.selectedIndex - 1);
+    } else if (input.isKeyJustPressed('ArrowDown') || input.isKeyJustPressed('ArrowRight') || pad(PAD.DOWN, PAD.RIGHT)) {
+      this.focusSong(this.library.selectedIndex + 1);
+    } else if (input.isKeyJustPressed('Enter') || input.isKeyJustPressed(' ') || pad(PAD.A, PAD.START)) {
+      this.playSelectedSong();
+    } else if (pad(PAD.X)) {
+      this.playSelectedSong(true);
+    } else if (input.isKeyJustPressed('w') || input.isKeyJustPressed('W') || pad(PAD.Y)) {
+      this.watchBestReplay();
+    } else if (input.escPressed || pad(PAD.B)) {
+      this.closeSongSelect();
+    }
+  }
+
+  focusSong(index) {
+    const song = this.library.select(index);
+    if (!song) return;
+    this.ui.highlightSong(this.library.selectedIndex);
+
+    this.audio.loadBuffer(song.audio).then(buffer => {
+      // Ignore previews that finish decoding after the player moved on
+      if (this.state !== State.SONG_SELECT || this.library.selected !== song) return;
+      this.audio.playPreview(buffer, song.preview.start, song.preview.duration);
+    }).catch(e => console.warn('Preview unavailable:', e.message));
+  }
+
+  closeSongSelect() {
+    if (this.state !== State.SONG_SELECT) return;
+    this.audio.stopPreview();
+    this.ui.hideSongSelect();
+    this.state = State.TITLE;
+    this.ui.showTitle();
+    this.ui.showBestScore(this.getBest());
+  }
+
+  async playSelectedSong(practice = false) {
+    if (this.state !== State.SONG_SELECT) return;
+    const song = this.library.selected;
+    this.audio.stopPreview();
+    this.ui.hideSongSelect();
+    this.state = State.LOADING;
+
+    try {
+      if (song !== this.currentSong) {
+        await this.loadSong(song);
+        this.ui.hideLoading();
+      }
+      if (practice) {
+        this.openPracticeSetup();
+      } else {
+        this.practice = null;
+        await this.startCountdown();
+      }
+    } catch (e) {
+      console.error('Start failed:', e);
+      this.ui.hideLoading();
+      this.state = State.TITLE;
+      this.ui.showTitle();
+    }
+  }
+
   async startCountdown() {
     if (!this.audioReady) {
       await this.audio.init();
@@ -130,18 +385,47 @@ class Game {
     }
     await this.audio.resume();
 
-    // Apply difficulty
-    const diff = DIFFICULTY[this.difficulty];
-    this.renderer.approachTime = diff.approachTime;
-    this.beatmap.applyDifficulty(this.difficulty);
-    this.beatmap.offset = this.calibrationOffset;
+    this.prepareRun();
+    const info = this.beatmap.getChartInfo(this.difficulty);
+    const diff = getDifficultyConfig(this.difficulty, info ? info.level : 0);
+    this.renderer.approachTime = diff.approachTime / this.runMods.speed;
+    this.renderer.hidden = this.runMods.hidden;
+    this.renderer.hitErrors = [];
+    this.renderer.sudden = this.runMods.sudden;
 
     this.ui.hideTitle();
+    this.ui.hideSongSelect();
+    this.ui.hidePractice();
     this.ui.hidePause();
     this.state = State.COUNTDOWN;
     this.countdownTimer = 3.5;
+  }
+
+  // Judge-side setup for a run: modifiers, offset, the chart at this difficulty and a fresh scorer.
+  // Shared by real runs and silent re-simulations of a replay.
+  prepareRun() {
+    // Modifiers: a replay brings its own, editor test-play runs the chart as written, the daily its drawn mix
+    if (this.playback) this.runMods = normalizeModifiers(this.playback.replay.mods, this.settings.scrollSpeed);
+    else if (this.practice && this.practice.testPlay) this.runMods = normalizeModifiers(null, this.settings.scrollSpeed);
+    else if (this.daily) this.runMods = normalizeModifiers(this.daily.mods, this.settings.scrollSpeed);
+    else this.runMods = this.modifiers.snapshot(this.settings.scrollSpeed);
+    // A replay is judged against the offset it was recorded with
+    this.beatmap.offset = this.playback ? this.playback.replay.offset : this.calibrationOffset;
+    this.beatmap.applyDifficulty(this.difficulty);
+    this.beatmap.remapLanes(laneMap(this.beatmap.laneCount, this.runMods));
+    this.useLaneCount(this.beatmap.laneCount);
+    if (this.practice) {
+      this.beatmap.clipToRange(this.practice.start, this.practice.end);
+      this.practice.loops = 0;
+    }
+
     this.scorer.reset();
+    // Practice never fails. A replay fails as its modifiers say, like the run it recorded — not by its canFail
+    // flag, which a shared link could set to keep a failed run alive
+    this.scorer.canFail = !this.practice && !this.runMods.nofail;
     this.beatmap.reset();
+    this.judge.reset(this.getPlaybackRate());
+    if (this.playback) this.playback.reset();
     this.trackFinished = false;
   }
 
@@ -150,34 +434,54 @@ class Game {
     this.countdownTimer -= dt;
     if (this.countdownTimer <= 0) {
       this.state = State.PLAYING;
-      this.audio.play();
+      this.audio.play(this.getPlayStart(), this.getPlaybackRate());
       this.gameStartTime = performance.now();
+      if (!this.practice && !this.playback) {
+        this.recorder.start({
+          songId: this.currentSong ? this.currentSong.id : this.beatmap.trackName,
+          title: this.currentSong ? this.currentSong.title : this.beatmap.trackName,
+          difficulty: this.difficulty,
+          offset: this.beatmap.offset,
+          chartHash: this.beatmap.getChartHash(this.difficulty),
+          mods: this.runMods,
+          canFail: this.scorer.canFail,
+        });
+      } else {
+        this.recorder.cancel();
+      }
     }
   }
 
   // --- PLAYING ---
   updatePlaying(dt) {
-    const currentTime = this.audio.getCurrentTime();
-
-    // Pause on Escape
-    if (this.input.escPressed) {
-      this.pauseGame();
+    // Judged on the same 0.1ms grid replays are stored on
+    const currentTime = toReplayTime(this.audio.getCurrentTime());
+
+    // Pause on Escape or Start (test-play goes straight back to the editor, replays stop)
+    if (this.input.escPressed || this.input.isButtonJustPressed(PAD.START)) {
+      if (this.playback) this.stopPlayback();
+      else if (this.practice && this.practice.testPlay) this.returnToEditor();
+      else this.pauseGame();
       return;
     }
 
-    // Judge lane presses
-    for (let lane = 0; lane < 4; lane++) {
-      if (this.input.isLaneJustPressed(lane)) {
-        this.judgePress(lane, currentTime);
-      }
+    // Lane presses/releases since the last frame
+    this.judge.judgeUntil(currentTime, this.playback ? this.playback.poll(currentTime) : this.pollLaneEvents(currentTime));
+
+    // Compliance gauge emptied — the run stops here
+    if (this.scorer.failed) {
+      this.finishTrack();
+      return;
     }
 
-    // Missed notes
-    const missedNotes = this.beatmap.markMissedNotes(currentTime, TIMING.MISS);
-    for (const note of missedNotes) {
-      this.scorer.addHit(Judgment.CHARGEBACK, currentTime);
-      this.renderer.renderJudgment(Judgment.CHARGEBACK, note.lane, currentTime, 0);
-      this.sfx.play(Judgment.CHARGEBACK);
+    // Practice loops back to the start of its range instead of finishing
+    if (this.practice) {
+      const loopEnd = Math.min(this.practice.end + this.calibrationOffset + TIMING.MISS * this.getPlaybackRate(), this.audio.duration);
+      if (currentTime >= loopEnd || !this.audio.playing) {
+        if (this.practice.testPlay) this.returnToEditor();
+        else this.loopPractice();
+      }
+      return;
     }
 
     // Track complete?
@@ -186,34 +490,120 @@ class Game {
     }
   }
 
-  judgePress(lane, currentTime) {
-    const candidates = this.beatmap.getJudgableNotes(currentTime, lane, TIMING.MISS);
-    if (candidates.length === 0) return;
+  // Queued input events, each placed on the audio clock at its own timestamp rather
+  // than the frame it was noticed in. Times are clamped to [settledTime, currentTime]
+  // so an event never lands before work that has already been judged.
+  pollLaneEvents(currentTime) {
+    const events = [];
+    const { laneHeld, settledTime } = this.judge;
+    const held = [...laneHeld];
+    for (const e of this.input.drainLaneEvents()) {
+      if (e.down === held[e.lane]) continue;
+      held[e.lane] = e.down;
+      const time = Math.max(settledTime, Math.min(toReplayTime(this.audio.getTimeAt(e.timeStamp)), currentTime));
+      const event = { time, lane: e.lane, down: e.down };
+      if (e.velocity !== undefined) event.velocity = e.velocity;
+      events.push(event);
+    }
+    // Anything the queue didn't see (e.g. keys let go while paused) happens now
+    for (let lane = 0; lane < laneHeld.length; lane++) {
+      const pressed = this.input.isLanePressed(lane);
+      if (pressed !== held[lane]) events.push({ time: currentTime, lane, down: pressed });
+    }
+    return events;
+  }
+
+  // Judge feedback: a press near a note
+  onHitError(timeDiff, judgment) {
+    this.renderer.addHitError(timeDiff, judgment);
+    if (judgment === Judgment.APPROVED && navigator.vibrate) navigator.vibrate(15);
+    if (judgment === Judgment.CHARGEBACK && navigator.vibrate) navigator.vibrate([30, 20, 30]);
+  }
 
-    let closest = null;
-    let closestDiff = Infinity;
-    for (const note of candidates) {
-      const diff = Math.abs(note.time - currentTime);
-      if (diff < closestDiff) { closestDiff = diff; closest = note; }
+  // Judge feedback: any judgment (result is null for misses and hold breaks, which don't build combo)
+  onJudged(judgment, lane, time, timeDiff, result) {
+    this.renderer.renderJudgment(judgment, lane, time, timeDiff);
+    if (result) {
+      this.renderer.renderComboMilestone(result.combo);
+      this.achievementEvent({ type: 'combo', combo: result.combo });
     }
-    if (!closest) return;
+    this.sfx.play(judgment);
+  }
 
-    const timeDiff = closest.time - currentTime;
-    const judgment = this.scorer.judge(timeDiff);
+  // --- PRACTICE ---
+  getPlaybackRate() {
+    return this.practice ? this.practice.rate : 1;
+  }
 
-    closest.judged = true;
-    closest.hit = judgment !== Judgment.CHARGEBACK;
+  // Audio start position: practice starts early enough for the first notes to scroll in.
+  // approachTime is in song time, so the lead-in is the same at any rate (it just plays out slower).
+  getPlayStart() {
+    if (!this.practice) return 0;
+    return Math.max(0, this.practice.start + this.calibrationOffset - this.renderer.approachTime);
+  }
 
-    const result = this.scorer.addHit(judgment, currentTime);
-    this.renderer.renderJudgment(judgment, lane, currentTime, timeDiff);
-    this.renderer.renderComboMilestone(result.combo);
+  openPracticeSetup() {
+    this.state = State.PRACTICE_SETUP;
+    const prev = this.practice;
+    this.ui.showPractice(this.beatmap.sections, this.beatmap.duration, prev, PRACTICE_MIN_RATE, PRACTICE_MAX_RATE);
+  }
 
-    // SFX
-    this.sfx.play(judgment);
+  updatePracticeSetup(dt) {
+    const input = this.input;
+    if (input.escPressed || input.isButtonJustPressed(PAD.B)) this.closePracticeSetup();
+    else this.navigateOverlay(this.ui.practiceScreen);
+  }
 
-    // Vibration
-    if (judgment === Judgment.APPROVED && navigator.vibrate) navigator.vibrate(15);
-    if (judgment === Judgment.CHARGEBACK && navigator.vibrate) navigator.vibrate([30, 20, 30]);
+  closePracticeSetup() {
+    this.ui.hidePractice();
+    if (this.daily) {
+      this.showDaily();
+      return;
+    }
+    this.openSongSelect().catch(e => console.error('Song select failed:', e));
+  }
+
+  startPractice(start, end, rate) {
+    if (this.state !== State.PRACTICE_SETUP) return;
+    const duration = this.beatmap.duration || this.audio.duration;
+    start = Math.max(0, Math.min(start, duration));
+    end = Math.max(start + 1, Math.min(end, duration));
+    rate = Math.max(PRACTICE_MIN_RATE, Math.min(PRACTICE_MAX_RATE, rate));
+    this.practice = { start, end, rate, loops: 0 };
+    this.startCountdown().catch(e => {
+      console.error('Practice start failed:', e);
+      this.openPracticeSetup();
+    });
+  }
+
+  loopPractice() {
+    this.practice.loops++;
+    this.beatmap.reset();
+    this.audio.play(this.getPlayStart(), this.practice.rate);
+  }
+
+  // Practice runs get a report but never touch the ranked best scores
+  finishPractice() {
+    this.audio.stop();
+    this.ui.hidePause();
+    this.state = State.RESULTS;
+    this.ui.showResults(this.getRunStats(), this.practice);
+    this.ui.showReplayActions(false);
+    this.showLeaderboard(null);
+  }
+
+  quitRun() {
+    if (this.state !== State.PAUSED) return;
+    if (this.practice) {
+      this.finishPractice();
+      return;
+    }
+    this.audio.stop();
+    this.ui.hidePause();
+    this.daily = null; // a quit ranked daily stays spent
+    this.state = State.TITLE;
+    this.ui.showTitle();
+    this.ui.showBestScore(this.getBest());
   }
 
   // --- PAUSE ---
@@ -232,38 +622,128 @@ class Game {
   }
 
   updatePaused(dt) {
-    if (this.input.escPressed || this.input.consumeAnyKey()) {
+    const input = this.input;
+    if (this.navigateOverlay(this.ui.pauseScreen)) return;
+    if (input.escPressed || input.isButtonJustPressed(PAD.B) || input.consumeAnyKey()) {
       this.resumeGame();
     }
   }
 
+  // --- RESULTS ---
+  updateResults(dt) {
+    const input = this.input;
+    if (input.isButtonJustPressed(PAD.B)) this.backToSongSelect();
+    else if (input.isButtonJustPressed(PAD.START)) this.replay();
+    else if (input.isButtonJustPressed(PAD.A) && !this.ui.clickFocused(this.ui.resultsScreen)) this.ui.moveFocus(this.ui.resultsScreen, 1);
+    else this.navigateOverlay(this.ui.resultsScreen);
+  }
+
+  // Gamepad d-pad moves focus through an overlay's buttons and A presses the focused one.
+  // Returns true when a button was pressed.
+  navigateOverlay(screen) {
+    const input = this.input;
+    if (input.isButtonJustPressed(PAD.UP) || input.isButtonJustPressed(PAD.LEFT)) this.ui.moveFocus(screen, -1);
+    else if (input.isButtonJustPressed(PAD.DOWN) || input.isButtonJustPressed(PAD.RIGHT)) this.ui.moveFocus(screen, 1);
+    else if (input.isButtonJustPressed(PAD.A) && this.ui.clickFocused(screen)) {
+      input.consumeAnyKey();
+      return true;
+    }
+    return false;
+  }
+
   // --- FINISH ---
   finishTrack() {
     if (this.trackFinished) return;
     this.trackFinished = true;
     this.audio.stop();
     this.state = State.RESULTS;
-    const stats = this.scorer.getStats();
+    const stats = this.getRunStats();
+
+    // A watched replay shows what it re-simulates to and saves nothing
+    if (this.playback) {
+      this.lastReplay = this.playback.replay;
+      this.playback = null;
+      this.ui.showResults(stats, null, this.lastReplay);
+      this.ui.showReplayActions(true);
+      this.showLeaderboard(null);
+      return;
+    }
 
-    // Save high score
-    this.saveHighScore(stats);
+    // Save high score (a failed run never is one), and the replay behind it
+    const isBest = this.saveHighScore(stats);
+    const replay = this.recorder.finish(stats);
+    if (replay) {
+      saveReplay(replay, isBest);
+      this.lastReplay = replay;
+    }
+    this.recordPlay(stats);
+    this.achievementEvent({
+      type: 'finish',
+      stats,
+      difficulty: this.difficulty,
+      mods: this.runMods,
+      laneNames: laneColors(this.beatmap.laneCount).map(c => c.name),
+    });
+    if (this.daily && this.daily.ranked) {
+      this.dailyChallenge.finishAttempt(this.daily.day, stats);
+      stats.daily = { day: this.daily.day, streak: this.dailyChallenge.getStreak(this.daily.day) };
+      this.daily = null;
+    }
 
     this.ui.showResults(stats);
+    this.ui.showReplayActions(!!replay);
+    this.submitToLeaderboard(replay);
+  }
+
+  // Every finished ranked run goes into the play history, failed or not
+  recordPlay(stats) {
+    const song = this.currentSong;
+    this.history.add({
+      songId: song ? song.id : this.beatmap.trackName,
+      title: song ? song.title : this.beatmap.trackName,
+      difficulty: this.difficulty,
+      modifiers: this.runMods,
+      offset: this.beatmap.offset,
+      playedAt: Date.now(),
+      playTime: stats.failed ? stats.failedAt - this.beatmap.offset : stats.span[1],
+      score: stats.score,
+      grade: stats.grade,
+      approvalRate: stats.approvalRate,
+      maxCombo: stats.maxCombo,
+      counts: stats.counts,
+      failed: stats.failed,
+      meanOffset: stats.timing ? stats.timing.mean : null,
+      unstableRate: stats.timing ? stats.timing.unstableRate : null,
+      judgments: stats.timeline.map(e => [e.time, e.lane, e.judgment]),
+      offsets: stats.timing ? stats.timing.offsets : [],
+      daily: this.daily && this.daily.ranked ? this.daily.day : null,
+    }).catch(e => console.warn('Play not saved to history:', e.message));
+  }
+
+  // Scorer stats plus the run around them: modifiers, and the sections and chart-time span the timeline covers
+  getRunStats() {
+    const span = this.practice
+      ? [this.practice.start, this.practice.end]
+      : [0, Math.max(0, this.beatmap.duration - this.beatmap.offset)];
+    return {
+      ...this.scorer.getStats(),
+      modifiers: describeModifiers(this.runMods),
+      sections: this.beatmap.sections,
+      laneCount: this.beatmap.laneCount,
+      span,
+    };
   }
 
   saveHighScore(stats) {
-    try {
-      const prev = JSON.parse(localStorage.getItem('finpop_best') || '{}');
-      if (!prev.score || stats.score > prev.score) {
-        localStorage.setItem('finpop_best', JSON.stringify({
-          score: stats.score,
-          grade: stats.grade,
-          approvalRate: stats.approvalRate,
-          maxCombo: stats.maxCombo,
-          difficulty: this.difficulty,
-        }));
-      }
-    } catch (e) { /* localStorage unavailable */ }
+    if (!this.currentSong || this.practice || stats.failed) return false;
+    return this.library.saveBest(this.currentSong.id, {
+      score: stats.score,
+      grade: stats.grade,
+      approvalRate: stats.approvalRate,
+      maxCombo: stats.maxCombo,
+      difficulty: this.difficulty,
+      modifiers: stats.modifiers,
+    });
   }
 
   // --- CALIBRATION ---
@@ -273,35 +753,42 @@ class Game {
     this.calibrationTaps = [];
     this.calibrationBeat = 0;
     this.calibrationStartTime = performance.now() / 1000;
+    this.calibrationTime = this.calibrationClock(performance.now());
     this.ui.hideTitle();
     this.ui.showCalibration();
   }
 
-  updateCalibration(dt) {
-    const elapsed = performance.now() / 1000 - this.calibrationStartTime;
-    const beatDuration = 60 / this.beatmap.bpm;
-    const currentBeat = Math.floor(elapsed / beatDuration);
+  // Time since calibration started (performance.now() ms) on the chart's beat grid, which sits
+  // at the calibration offset — so the first beat falls right at the start and the grid's tempo changes follow
+  calibrationClock(ms) {
+    return ms / 1000 - this.calibrationStartTime + this.beatmap.timing.offset;
+  }
 
-    // Play metronome clicks
-    if (currentBeat > this.calibrationBeat && currentBeat <= 16) {
-      this.calibrationBeat = currentBeat;
-      this.sfx.playMetronome(currentBeat % 4 === 1);
+  updateCalibration(dt) {
+    const timing = this.beatmap.timing;
+    const now = this.calibrationClock(performance.now());
+
+    // Metronome clicks on the chart's beats, tempo changes and all; bar downbeats accented
+    for (const line of timing.getBeatLines(this.calibrationTime, now)) {
+      if (line.time <= this.calibrationTime) continue;
+      this.calibrationBeat++;
+      if (this.calibrationBeat <= 16) this.sfx.playMetronome(line.kind === 'bar');
     }
+    this.calibrationTime = now;
 
-    // Collect taps
-    if (this.input.consumeAnyKey() && currentBeat >= 4 && currentBeat <= 16) {
-      const expectedBeat = Math.round(elapsed / beatDuration) * beatDuration;
-      const offset = elapsed - expectedBeat;
-      this.calibrationTaps.push(offset);
+    // Collect taps, timed by the input event rather than the frame that noticed it
+    if (this.input.consumeAnyKey() && this.calibrationBeat >= 4 && this.calibrationBeat <= 16) {
+      const tap = this.calibrationClock(this.input.lastPressTime);
+      this.calibrationTaps.push(tap - timing.snap(tap));
     }
 
     // End after 16 beats
-    if (currentBeat > 16) {
+    if (this.calibrationBeat > 16) {
       this.finishCalibration();
     }
 
-    // Escape to cancel
-    if (this.input.escPressed) {
+    // Escape (or B) to cancel
+    if (this.input.escPressed || this.input.isButtonJustPressed(PAD.B)) {
       this.cancelCalibration();
     }
   }
@@ -315,35 +802,648 @@ class Game {
     this.ui.hideCalibration();
     this.state = State.TITLE;
     this.ui.showTitle();
-    this.ui.showBestScore();
+    this.ui.showBestScore(this.getBest());
   }
 
   cancelCalibration() {
     this.ui.hideCalibration();
     this.state = State.TITLE;
     this.ui.showTitle();
-    this.ui.showBestScore();
+    this.ui.showBestScore(this.getBest());
+  }
+
+  // Lanes come from the chart (4K–7K): input, bindings and colours follow it (the judge picks it up in prepareRun)
+  useLaneCount(count) {
+    this.settings.laneCount = count;
+    this.input.setLaneCount(count);
+    this.renderer.setLaneCount(count);
+    this.applySettings();
+  }
+
+  // --- SETTINGS ---
+  applySettings() {
+    const s = this.settings;
+    this.input.setBindings(s.bindings);
+    this.input.setPadBindings(s.padBindings);
+    this.input.setMidiNotes(s.midiNotes);
+    this.audio.setVolume(s.musicVolume);
+    this.sfx.setVolume(s.sfxVolume);
+    this.renderer.hitLinePosition = s.hitLine;
+    this.ui.showKeyBindings(s.bindings.map((keys, lane) => s.laneLabel(lane)));
+    this.ui.renderModifiers(this.modifiers, s.scrollSpeed);
+  }
+
+  // --- MODIFIERS ---
+  toggleModifier(name) {
+    if (this.state !== State.TITLE && this.state !== State.SONG_SELECT) return;
+    this.modifiers.toggle(name);
+    this.ui.renderModifiers(this.modifiers, this.settings.scrollSpeed);
+  }
+
+  // The panel's −/+ edit the same scroll speed as the settings slider, in 0.1x steps
+  stepScrollSpeed(step) {
+    if (this.state !== State.TITLE && this.state !== State.SONG_SELECT) return;
+    this.settings.set('scrollSpeed', Math.round(this.settings.scrollSpeed * 10 + step) / 10);
+    this.ui.renderModifiers(this.modifiers, this.settings.scrollSpeed);
+  }
+
+  openSettings() {
+    if (this.state !== State.TITLE) return;
+    this.state = State.SETTINGS;
+    this.bindCapture = null;
+    this.midiLearn = null;
+    this.ui.hideTitle();
+    this.ui.showSettings(this.settings);
+    this.ui.showLeaderboardSettings(this.leaderboard);
+  }
+
+  updateSettings(dt) {
+    const input = this.input;
+    if (this.midiLearn !== null) {
+      this.updateMidiLearn();
+      return;
+    }
+    if (!this.bindCapture) {
+      if (input.escPressed || input.isButtonJustPressed(PAD.B)) this.closeSettings();
+      return;
+    }
+    const { lane, slot, pad } = this.bindCapture;
+    // ESC cancels either kind of capture; a pad capture ignores other keys
+    const key = input.escPressed ? 'Escape' : pad ? input.getJustPressedButton() : input.getJustPressedKey();
+    if (key === null) return;
+
+    this.bindCapture = null;
+    if (key === 'Escape') {
+      this.ui.setSettingsMessage('');
+    } else {
+      const result = this.settings.bind(lane, slot, key, pad);
+      const what = pad ? 'button' : 'key';
+      if (result.ok) {
+        this.ui.setSettingsMessage('');
+        this.applySettings();
+      } else if (result.reason === 'conflict') {
+        this.ui.setSettingsMessage(`That ${what} is already bound to ${laneColors(this.settings.laneCount)[result.lane].name} — clear it there first`, true);
+      } else {
+        this.ui.setSettingsMessage(pad ? 'START is reserved for pause' : 'ESC is reserved for pause', true);
+      }
+    }
+    this.ui.renderBindings(this.settings);
+  }
+
+  captureBinding(lane, slot, pad = false) {
+    if (this.state !== State.SETTINGS) return;
+    this.stopMidiLearn();
+    this.bindCapture = { lane, slot, pad };
+    this.ui.setSettingsMessage(pad ? 'Press a gamepad button for this lane, or ESC to cancel' : 'Press a key for this lane, or ESC to cancel');
+    this.ui.renderBindings(this.settings, this.bindCapture);
+  }
+
+  clearBinding(lane, slot, pad = false) {
+    if (this.state !== State.SETTINGS) return;
+    this.bindCapture = null;
+    if (this.settings.unbind(lane, slot, pad)) {
+      this.ui.setSettingsMessage('');
+      this.applySettings();
+    } else {
+      this.ui.setSettingsMessage(pad ? 'Every lane needs at least one button' : 'Every lane needs at least one key', true);
+    }
+    this.ui.renderBindings(this.settings);
+  }
+
+  // Learn mode walks the lanes left to right, taking the next MIDI note struck for each
+  async startMidiLearn() {
+    if (this.state !== State.SETTINGS) return;
+    this.bindCapture = null;
+    this.ui.renderBindings(this.settings);
+    if (!this.input.midiAccess && !(await this.input.enableMidi())) {
+      this.ui.setSettingsMessage("Web MIDI isn't available in this browser, or access was refused", true);
+      return;
+    }
+    if (this.state !== State.SETTINGS) return;
+    this.midiLearn = 0;
+    const connected = this.input.getMidiInputNames().length > 0;
+    this.ui.setSettingsMessage(`Hit the pad for ${laneColors(this.settings.laneCount)[0].name}${connected ? '' : ' (no MIDI device connected yet)'}, or ESC to cancel`);
+    this.ui.renderMidiNotes(this.settings, this.midiLearn);
+  }
+
+  updateMidiLearn() {
+    if (this.input.escPressed) {
+      this.stopMidiLearn();
+      return;
+    }
+    const note = this.input.getJustPressedNote();
+    if (note === null) return;
+
+    this.settings.learnMidiNote(this.midiLearn, note);
+    this.applySettings();
+    this.midiLearn++;
+    if (this.midiLearn >= this.settings.midiNotes.length) {
+      this.midiLearn = null;
+      this.ui.setSettingsMessage('MIDI notes saved');
+    } else {
+      this.ui.setSettingsMessage(`Hit the pad for ${laneColors(this.settings.laneCount)[this.midiLearn].name}, or ESC to cancel`);
+    }
+    this.ui.renderMidiNotes(this.settings, this.midiLearn);
+  }
+
+  stopMidiLearn() {
+    if (this.midiLearn === null) return;
+    this.midiLearn = null;
+    this.ui.setSettingsMessage('');
+    this.ui.renderMidiNotes(this.settings);
+  }
+
+  changeSetting(name, value) {
+    this.settings.set(name, value);
+    this.ui.showSettingValue(name, this.settings[name]);
+    this.applySettings();
+  }
+
+  resetSettings() {
+    this.midiLearn = null;
+    const { midiEnabled } = this.settings; // MIDI access was granted, it isn't a preference
+    this.settings.reset();
+    this.settings.midiEnabled = midiEnabled;
+    this.settings.save();
+    this.applySettings();
+    this.ui.showSettings(this.settings);
+  }
+
+  // Settings edits one lane count's layout at a time
+  showLayout(count) {
+    if (this.state !== State.SETTINGS) return;
+    this.bindCapture = null;
+    this.midiLearn = null;
+    this.settings.laneCount = count;
+    this.ui.setSettingsMessage('');
+    this.ui.renderBindings(this.settings);
+    this.ui.renderMidiNotes(this.settings);
+  }
+
+  closeSettings() {
+    if (this.state !== State.SETTINGS) return;
+    this.bindCapture = null;
+    this.midiLearn = null;
+    this.useLaneCount(this.beatmap.getLaneCount(this.difficulty));
+    this.ui.hideSettings();
+    this.state = State.TITLE;
+    this.ui.showTitle();
+    this.ui.showBestScore(this.getBest());
+  }
+
+  // --- PROFILE ---
+  async openProfile() {
+    if (this.state !== State.TITLE) return;
+    this.state = State.PROFILE;
+    this.ui.hideTitle();
+    await this.showProfile();
+  }
+
+  async showProfile() {
+    const plays = await this.history.all().catch(() => []);
+    if (this.state === State.PROFILE) this.ui.showProfile(summarizeHistory(plays), plays);
+  }
+
+  updateProfile(dt) {
+    if (this.navigateOverlay(this.ui.profileScreen)) return;
+    if (this.input.escPressed || this.input.isButtonJustPressed(PAD.B)) this.closeProfile();
+  }
+
+  closeProfile() {
+    if (this.state !== State.PROFILE) return;
+    this.ui.hideProfile();
+    this.state = State.TITLE;
+    this.ui.showTitle();
+    this.ui.showBestScore(this.getBest());
+  }
+
+  async exportHistory() {
+    const data = await this.history.exportData();
+    const date = new Date(data.exportedAt).toISOString().slice(0, 10);
+    this.ui.downloadJSON(`finpop_history_${date}.json`, data);
+  }
+
+  async importHistory(file) {
+    try {
+      const added = await this.history.importData(JSON.parse(await file.text()));
+      await this.showProfile();
+      this.ui.showProfileMessage(`Imported ${added} play${added === 1 ? '' : 's'} from ${file.name}`);
+    } catch (e) {
+      console.warn('History import rejected:', e.message);
+      this.ui.showProfileMessage(`Can't import ${file.name}: ${e.message}`);
+    }
+  }
+
+  // --- ACHIEVEMENTS ---
+  // Only ranked runs unlock anything; each unlock gets a toast
+  achievementEvent(event) {
+    if (this.practice || this.playback) return;
+    for (const badge of this.achievements.handle(event)) {
+      this.ui.showToast('ACHIEVEMENT UNLOCKED', badge.detail ? `${badge.name} ${badge.detail}` : badge.name, badge.color);
+    }
+  }
+
+  openAchievements() {
+    if (this.state !== State.TITLE) return;
+    this.state = State.ACHIEVEMENTS;
+    this.ui.hideTitle();
+    this.ui.showAchievements(this.achievements.list());
+  }
+
+  updateAchievements(dt) {
+    if (this.navigateOverlay(this.ui.achievementsScreen)) return;
+    if (this.input.escPressed || this.input.isButtonJustPressed(PAD.B)) this.closeAchievements();
+  }
+
+  closeAchievements() {
+    if (this.state !== State.ACHIEVEMENTS) return;
+    this.ui.hideAchievements();
+    this.state = State.TITLE;
+    this.ui.showTitle();
+    this.ui.showBestScore(this.getBest());
+  }
+
+  // --- LEADERBOARD ---
+  // A finished ranked run goes up with its replay as proof, then its board is shown
+  async submitToLeaderboard(replay) {
+    if (!replay) return this.showLeaderboard(null);
+    if (!this.leaderboard.enabled) {
+      this.boardRun = null;
+      this.ui.showLeaderboard({ message: 'Set a leaderboard server and player name in Settings to compete online' });
+      return;
+    }
+    this.boardRun = replay;
+    this.ui.showLeaderboard({ scope: this.boardScope, entries: [], message: 'Submitting...' });
+    let message;
+    if (replay.result.failed) {
+      message = 'Failed runs are not ranked';
+    } else if (this.currentSong && this.currentSong.local) {
+      // The server re-judges every run against its own copy of the chart, and it has none for these
+      message = 'Tracks from your own files are not ranked online';
+    } else {
+      try {
+        const { rank, best } = await this.leaderboard.submit(replay);
+        message = best ? `Submitted — rank #${rank}` : `Your best on this board stands at #${rank}`;
+      } catch (e) {
+        message = `Not submitted: ${e.message}`;
+      }
+    }
+    await this.showLeaderboard(replay, message);
+  }
+
+  // run: a replay (its song/difficulty/mods/chart pick the board), or null to hide the board
+  async showLeaderboard(run, message = '') {
+    this.boardRun = run;
+    if (!run) {
+      this.ui.showLeaderboard(null);
+      return;
+    }
+    const scope = this.boardScope;
+    let board;
+    try {
+      board = { scope, entries: await this.leaderboard.top(run, scope === 'friends'), message };
+    } catch (e) {
+      board = { scope, entries: [], message: `Leaderboard unreachable: ${e.message}` };
+    }
+    // The player may have moved on (or switched scope) while the board loaded
+    if (this.boardRun !== run || this.boardScope !== scope || this.state !== State.RESULTS) return;
+    board.player = this.leaderboard.player;
+    this.ui.showLeaderboard(board);
+  }
+
+  setBoardScope(scope) {
+    if (this.state !== State.RESULTS || !this.boardRun || scope === this.boardScope) return;
+    this.boardScope = scope;
+    this.showLeaderboard(this.boardRun);
+  }
+
+  async watchBoardReplay(id) {
+    if (this.state !== State.RESULTS) return;
+    try {
+      const replay = parseReplay(await this.leaderboard.fetchReplay(id));
+      await this.watchReplay(replay);
+    } catch (e) {
+      console.warn('Leaderboard replay unavailable:', e.message);
+      this.ui.setLeaderboardMessage(`Can't load that replay: ${e.message}`);
+    }
+  }
+
+  changeLeaderboardOption(name, value) {
+    if (this.state !== State.SETTINGS) return;
+    this.leaderboard.configure({ [name]: value });
+    this.leaderboard.save();
+  }
+
+  // --- DAILY CHALLENGE ---
+  // Today's song, difficulty and modifier mix come from the date, so every player gets the same one
+  async openDaily() {
+    if (this.state !== State.TITLE) return;
+    const challenge = this.dailyChallenge.draw(this.library.songs.filter(s => !s.local));
+    const index = this.library.findSong(challenge.songId);
+    if (index < 0) return;
+    if (!this.audioReady) {
+      await this.audio.init();
+      this.audioReady = true;
+    }
+    await this.audio.resume();
+
+    this.ui.hideTitle();
+    this.state = State.LOADING;
+    try {
+      const song = this.library.select(index);
+      if (song !== this.currentSong) {
+        await this.loadSong(song);
+        this.ui.hideLoading();
+      }
+      this.setDifficulty(this.dailyChallenge.resolveDifficulty(challenge, this.beatmap.difficulties));
+      this.daily = { day: challenge.day, mods: challenge.mods, ranked: false };
+      this.showDaily();
+    } catch (e) {
+      console.error('Daily challenge failed to load:', e);
+      this.ui.hideLoading();
+      this.daily = null;
+      this.state = State.TITLE;
+      this.ui.showTitle();
+    }
+  }
+
+  showDaily() {
+    const day = this.daily.day;
+    this.state = State.DAILY;
+    this.ui.showDaily({
+      day,
+      song: this.currentSong,
+      difficulty: this.difficulty,
+      modifiers: describeModifiers(normalizeModifiers(this.daily.mods)),
+      attempt: this.dailyChallenge.attempt(day),
+      streak: this.dailyChallenge.getStreak(day),
+      bestStreak: this.dailyChallenge.getBestStreak(),
+    });
+  }
+
+  updateDaily(dt) {
+    if (this.navigateOverlay(this.ui.dailyScreen)) return;
+    if (this.input.escPressed || this.input.isButtonJustPressed(PAD.B)) this.closeDaily();
+  }
+
+  // The one ranked run of the day; spent the moment it starts
+  startDailyAttempt() {
+    if (this.state !== State.DAILY || this.dailyChallenge.attempt(this.daily.day)) return;
+    this.dailyChallenge.startAttempt(this.daily.day);
+    this.daily.ranked = true;
+    this.practice = null;
+    this.ui.hideDaily();
+    this.startCountdown().catch(e => {
+      console.error('Daily start failed:', e);
+      this.closeDaily();
+    });
+  }
+
+  // Practice as often as you like, with the daily mix
+  practiceDaily() {
+    if (this.state !== State.DAILY) return;
+    this.daily.ranked = false;
+    this.ui.hideDaily();
+    this.openPracticeSetup();
+  }
+
+  closeDaily() {
+    this.ui.hideDaily();
+    this.daily = null;
+    this.state = State.TITLE;
+    this.ui.showTitle();
+    this.ui.showBestScore(this.getBest());
+  }
+
+  // --- EDITOR ---
+  startEditor() {
+    if (!this.audioReady || this.state !== State.TITLE) return;
+    this.state = State.EDITOR;
+    this.ui.hideTitle();
+    this.editor.open(this.beatmap, this.audio.buffer, this.difficulty);
+  }
+
+  updateEditor(dt) {
+    // Cursor follows the audio while previewing
+    if (this.audio.playing) this.editor.cursorTime = this.audio.getCurrentTime();
+
+    switch (this.editor.handleInput(this.input)) {
+      case 'exit':   this.closeEditor(); break;
+      case 'test':   this.testPlayFromEditor(); break;
+      case 'export': this.exportChart(); break;
+      case 'play':
+        if (this.audio.playing) this.audio.stop();
+        else this.audio.play(this.editor.cursorTime);
+        break;
+    }
+  }
+
+  closeEditor() {
+    this.audio.stop();
+    this.editor.applyTo(this.beatmap);
+    this.editor.close();
+    this.syncDifficulties();
+    this.state = State.TITLE;
+    this.ui.showTitle();
+    this.ui.showBestScore(this.getBest());
+  }
+
+  // Play the edited chart from the cursor; ESC or the last note returns to the editor
+  testPlayFromEditor() {
+    this.audio.stop();
+    this.editor.applyTo(this.beatmap);
+    this.editor.close();
+    this.difficulty = this.editor.difficulty;
+    const lastEnd = this.editor.notes.reduce((end, n) => Math.max(end, n.time + n.duration), 0);
+    this.practice = {
+      start: this.editor.cursorTime,
+      end: Math.max(lastEnd + 1, this.editor.cursorTime + 1),
+      rate: 1,
+      loops: 0,
+      testPlay: true,
+    };
+    this.startCountdown().catch(e => {
+      console.error('Test play failed:', e);
+      this.returnToEditor();
+    });
+  }
+
+  returnToEditor() {
+    this.audio.stop();
+    this.practice = null;
+    this.ui.hidePause();
+    this.state = State.EDITOR;
+    this.editor.active = true;
+    this.renderer.setLaneCount(this.editor.laneCount);
+  }
+
+  exportChart() {
+    this.editor.applyTo(this.beatmap);
+    const name = this.beatmap.trackName || 'beatmap';
+    this.ui.downloadJSON(`${name}.json`, this.beatmap.exportData());
+    this.editor.dirty = false;
+    this.editor.flash('EXPORTED');
+  }
+
+  // --- REPLAYS ---
+  // Play a recorded run back through the normal judge/render path, input from the replay
+  async watchReplay(replay) {
+    const index = this.library.findSong(replay.songId);
+    if (index < 0) {
+      this.ui.showTitleNotice(`Load "${replay.title || replay.songId}" before watching its replay`);
+      return;
+    }
+    if (!this.audioReady) {
+      await this.audio.init();
+      this.audioReady = true;
+    }
+    await this.audio.resume();
+
+    this.audio.stopPreview();
+    this.ui.hideTitle();
+    this.ui.hideSongSelect();
+    this.ui.hideResults();
+    this.state = State.LOADING;
+
+    try {
+      const song = this.library.songs[index];
+      if (song !== this.currentSong) {
+        this.library.select(index);
+        await this.loadSong(song);
+        this.ui.hideLoading();
+      }
+      if (!this.beatmap.difficulties.includes(replay.difficulty)) {
+        throw new Error(`chart has no ${replay.difficulty} difficulty`);
+      }
+      this.setDifficulty(replay.difficulty);
+      this.practice = null;
+      this.playback = new ReplayPlayer(replay);
+      // A changed chart still plays back, but the result can't be trusted
+      this.playbackMismatch = this.beatmap.getChartHash(replay.difficulty) !== replay.chartHash;
+      await this.startCountdown();
+    } catch (e) {
+      console.warn('Replay failed:', e.message);
+      this.playback = null;
+      this.ui.hideLoading();
+      this.state = State.TITLE;
+      this.ui.showTitle();
+      this.ui.showTitleNotice(`Can't play replay: ${e.message}`);
+    }
+  }
+
+  async loadReplayFile(file) {
+    if (this.state !== State.TITLE && this.state !== State.SONG_SELECT) return;
+    try {
+      const replay = parseReplay(JSON.parse(await file.text()));
+      await this.watchReplay(replay);
+    } catch (e) {
+      console.warn('Replay file rejected:', e.message);
+      this.ui.showTitleNotice(`${file.name} isn't a replay this version can play`);
+    }
+  }
+
+  watchLastReplay() {
+    if (this.state !== State.RESULTS || !this.lastReplay) return;
+    this.watchReplay(this.lastReplay);
+  }
+
+  watchBestReplay() {
+    const song = this.library.selected;
+    const replay = song && getBestReplay(song.id);
+    if (replay) this.watchReplay(replay);
+  }
+
+  stopPlayback() {
+    this.audio.stop();
+    this.playback = null;
+    this.state = State.TITLE;
+    this.ui.showTitle();
+    this.ui.showBestScore(this.getBest());
+  }
+
+  downloadReplay() {
+    const replay = this.lastReplay;
+    if (!replay) return;
+    const date = new Date(replay.recordedAt).toISOString().slice(0, 10);
+    this.ui.downloadJSON(`${replay.songId}_${replay.difficulty}_${date}.replay.json`, replay);
   }
 
   // --- MISC ---
-  showChallengeBanner(sharedScore) {
+  // Links without a replay (or with one that doesn't hold up) are shown, but marked unverified
+  showChallengeBanner(shared, replay) {
+    const check = replay ? this.verifyReplay(replay, shared.chart)
+      : { verified: false, reason: shared.replay ? 'replay unreadable' : 'no replay attached' };
     const banner = document.getElementById('challenge-banner');
     if (banner) {
       const text = banner.querySelector('.challenge-text');
-      if (text) text.textContent = `Someone scored Grade ${sharedScore.grade} with ${sharedScore.approvalRate}% approval! Can you beat it?`;
+      if (text && check.verified) {
+        // Everything shown comes from the re-judged run and this library, not from the link
+        const { grade, approvalRate, failed } = check.stats;
+        const track = `${this.currentSong.title} ${replay.difficulty}`;
+        text.textContent = failed
+          ? `✓ VERIFIED — Someone FAILED ${track} at ${Math.round(approvalRate)}% approval. Can you clear it?`
+          : `✓ VERIFIED — Someone scored Grade ${grade} with ${Math.round(approvalRate)}% approval on ${track}! Can you beat it?`;
+      } else if (text) {
+        const claim = replay && replay.result ? replay.result : shared;
+        text.textContent = `UNVERIFIED (${check.reason}) — someone claims Grade ${claim.grade} with ${Math.round(claim.approvalRate)}% approval`;
+      }
+      banner.classList.toggle('verified', check.verified);
+      banner.classList.toggle('unverified', !check.verified);
       banner.classList.add('active');
       setTimeout(() => banner.classList.remove('active'), 8000);
     }
   }
 
+  // A shared run is verified only if it re-judges, against this build's copy of the chart, to the result it claims.
+  // chart: the chart version the link carried alongside the replay.
+  verifyReplay(replay, chart = null) {
+    if (!this.currentSong || this.currentSong.id !== replay.songId) return { verified: false, reason: 'track not in this library' };
+    if (!this.beatmap.difficulties.includes(replay.difficulty)) return { verified: false, reason: `no ${replay.difficulty} chart` };
+    if (chart && chart !== replay.chartHash) return { verified: false, reason: 'link altered' };
+    if (this.beatmap.getChartHash(replay.difficulty) !== replay.chartHash) return { verified: false, reason: 'different chart version' };
+    const stats = this.resimulate(replay);
+    const verified = reproducesResult(stats, replay.result);
+    return { verified, reason: verified ? '' : 'replay does not reproduce the score', stats };
+  }
+
+  // Judge a replay start to finish without playing it: the same setup as watching it, stepped as fast as it goes,
+  // by a judge with no feedback hooks so nothing is heard, felt or drawn (as the server's judgeReplay does).
+  // The replay's track must be the one loaded. Returns the stats it comes to — the same for any step.
+  resimulate(replay, step = RESIMULATE_STEP) {
+    this.setDifficulty(replay.difficulty);
+    this.practice = null;
+    this.daily = null;
+    this.playback = new ReplayPlayer(replay);
+    this.prepareRun();
+    const judge = new Judge(this.beatmap, this.scorer);
+    judge.reset(this.getPlaybackRate());
+    const end = this.audio.loaded ? this.audio.duration : this.beatmap.getLastNoteEnd() + 3;
+    const stats = judge.run(this.playback, end, step);
+    this.playback = null;
+    return stats;
+  }
+
   replay() {
     this.ui.hideResults();
-    this.startCountdown();
+    this.playback = null;
+    // The results are already gone, so a run that can't start falls back to picking a track
+    this.startCountdown().catch(e => {
+      console.error('Retry failed:', e);
+      this.backToSongSelect();
+    });
+  }
+
+  // Leave practice (if any) and go back to picking a track
+  backToSongSelect() {
+    this.practice = null;
+    this.daily = null;
+    this.openSongSelect().catch(e => console.error('Song select failed:', e));
   }
 
   async shareResults() {
-    const stats = this.scorer.getStats();
-    const success = await this.ui.share(stats);
+    const stats = this.getRunStats();
+    // Links carry the replay behind the report, so the receiver can verify it (practice has none)
+    const success = await this.ui.share(stats, this.currentSong, this.practice ? null : this.lastReplay);
     const shareBtn = document.getElementById('share-btn');
     if (shareBtn) {
       shareBtn.textContent = success ? 'COPIED!' : 'SHARE';
@@ -351,12 +1451,28 @@ class Game {
     }
   }
 
+  // Difficulty buttons follow whatever the loaded chart declares
+  syncDifficulties() {
+    const declared = this.beatmap.difficulties;
+    if (!declared.includes(this.difficulty)) {
+      this.difficulty = declared.includes('NORMAL') ? 'NORMAL' : declared[0];
+    }
+    this.ui.renderDifficulties(declared.map(d => this.beatmap.getChartInfo(d)), this.difficulty);
+    this.useLaneCount(this.beatmap.getLaneCount(this.difficulty));
+  }
+
+  cycleDifficulty(delta) {
+    const declared = this.beatmap.difficulties;
+    if (declared.length === 0) return;
+    const i = declared.indexOf(this.difficulty);
+    this.setDifficulty(declared[(i + delta + declared.length) % declared.length]);
+  }
+
   setDifficulty(level) {
-    if (DIFFICULTY[level]) {
+    if (this.beatmap.difficulties.includes(level)) {
       this.difficulty = level;
-      document.querySelectorAll('.diff-btn').forEach(b => b.classList.remove('active'));
-      const active = document.querySelector(`.diff-btn[data-diff="${level}"]`);
-      if (active) active.classList.add('active');
+      this.ui.highlightDifficulty(this.beatmap.getChartInfo(level));
+      this.useLaneCount(this.beatmap.getLaneCount(level));
     }
   }
 
@@ -376,13 +1492,19 @@ class Game {
 
     switch (this.state) {
       case State.TITLE:
-        this.renderer.renderLanes([false, false, false, false]);
+      case State.SONG_SELECT:
+      case State.PRACTICE_SETUP:
+      case State.SETTINGS:
+      case State.PROFILE:
+      case State.ACHIEVEMENTS:
+      case State.DAILY:
+        this.renderer.renderLanes();
         this.renderer.renderSidePanels(0.2, 0, currentTime);
         this.renderer.renderEffects();
         break;
 
       case State.COUNTDOWN:
-        this.renderer.renderLanes([false, false, false, false]);
+        this.renderer.renderLanes();
         this.renderer.renderCountdown(Math.ceil(this.countdownTimer));
         break;
 
@@ -398,40 +1520,57 @@ class Game {
       case State.CALIBRATION:
         this.renderCalibration(currentTime);
         break;
+
+      case State.EDITOR:
+        this.editor.render(this.renderer.ctx);
+        break;
     }
 
     this.renderer.resetTransform();
   }
 
   renderPlaying(currentTime, audioLevel) {
-    const laneStates = [0, 1, 2, 3].map(i => this.input.isLanePressed(i));
-    const beatPhase = ((currentTime % (60 / this.beatmap.bpm)) / (60 / this.beatmap.bpm));
+    const laneStates = [...this.judge.laneHeld];
+    const timing = this.beatmap.timing;
+    const beatPhase = timing.beatPhase(currentTime);
+    const section = this.beatmap.getCurrentSection(currentTime);
+    const intensity = section && section.intensity !== null ? section.intensity : 0.5;
 
-    this.renderer.renderLanes(laneStates, beatPhase);
+    this.renderer.renderLanes(laneStates, beatPhase, intensity);
+    this.renderer.renderBarLines(timing, currentTime);
 
     const visibleNotes = this.beatmap.getVisibleNotes(currentTime, this.renderer.approachTime);
-    this.renderer.renderNotes(visibleNotes, currentTime);
+    this.renderer.renderNotes(visibleNotes, currentTime, timing);
     this.renderer.renderEffects();
+    this.renderer.renderHitErrorBar();
     this.renderer.renderSidePanels(audioLevel, this.scorer.combo, currentTime);
 
     this.renderer.renderHUD(
       this.scorer.score, this.scorer.combo, this.scorer.multiplier,
       this.scorer.getVolumeDisplay(), this.scorer.getApprovalRate(),
       this.beatmap.duration > 0 ? Math.min(currentTime / this.beatmap.duration, 1) : this.audio.getProgress(),
-      this.scorer.getRiskLevel()
+      this.scorer.getRiskLevel(),
+      this.scorer.health, this.scorer.canFail
     );
 
-    this.renderer.renderSectionLabel(this.beatmap.getCurrentSection(currentTime));
+    this.renderer.renderSectionLabel(section);
+    if (this.playback) {
+      const r = this.playback.replay;
+      this.renderer.renderReplayTag(`REPLAY · ${r.difficulty} · ${new Date(r.recordedAt).toLocaleDateString()}${this.playbackMismatch ? ' · CHART CHANGED' : ''}`);
+    }
     this.renderer.renderLyrics(currentTime, this.lyrics);
-    this.renderer.renderKeyPrompts(this.renderer.getLayout().isMobile);
+    // Prompts follow whichever device was used last
+    const s = this.settings;
+    const device = this.input.lastDevice;
+    const keyLabels = s.bindings.map((keys, lane) =>
+      device === 'pad' ? s.lanePadLabel(lane) : device === 'midi' ? s.laneMidiLabel(lane) : s.laneLabel(lane));
+    this.renderer.renderKeyPrompts(this.renderer.getLayout().isMobile, keyLabels);
   }
 
   renderCalibration(time) {
     const ctx = this.renderer.ctx;
     const { w, h } = this.renderer.getLayout();
-    const elapsed = performance.now() / 1000 - this.calibrationStartTime;
-    const beatDuration = 60 / this.beatmap.bpm;
-    const phase = (elapsed % beatDuration) / beatDuration;
+    const phase = this.beatmap.timing.beatPhase(this.calibrationClock(performance.now()));
     const pulse = Math.max(0, 1 - phase * 3);
 
     // Pulsing circle
@@ -465,22 +1604,36 @@ window.addEventListener('DOMContentLoaded', () => {
   const titleScreen = document.getElementById('title-screen');
   if (titleScreen) {
     titleScreen.addEventListener('click', (e) => {
-      if (e.target.closest('.diff-btn') || e.target.closest('#calibrate-btn')) return;
+      if (e.target.closest('.diff-btn') || e.target.closest('.calibrate-link') || e.target.closest('.mods-panel')) return;
       game.tryStart();
     });
     titleScreen.addEventListener('touchend', (e) => {
-      if (e.target.closest('.diff-btn') || e.target.closest('#calibrate-btn')) return;
+      if (e.target.closest('.diff-btn') || e.target.closest('.calibrate-link') || e.target.closest('.mods-panel')) return;
       e.preventDefault();
       game.tryStart();
     });
   }
 
-  // Difficulty buttons
-  document.querySelectorAll('.diff-btn').forEach(btn => {
-    btn.addEventListener('click', (e) => {
+  // Difficulty buttons (rebuilt per chart, so delegate from the container)
+  const diffBar = document.querySelector('.title-difficulty');
+  if (diffBar) {
+    diffBar.addEventListener('click', (e) => {
+      const btn = e.target.closest('.diff-btn');
+      if (!btn) return;
       e.stopPropagation();
       game.setDifficulty(btn.dataset.diff);
     });
+  }
+
+  // Modifier panels (rebuilt on every change, so delegate from each container)
+  document.querySelectorAll('.mods-panel').forEach(panel => {
+    panel.addEventListener('click', (e) => {
+      const btn = e.target.closest('.mod-btn');
+      if (!btn) return;
+      e.stopPropagation();
+      if (btn.dataset.mod) game.toggleModifier(btn.dataset.mod);
+      else game.stepScrollSpeed(parseInt(btn.dataset.speed));
+    });
   });
 
   // Calibrate button
@@ -497,14 +1650,214 @@ window.addEventListener('DOMContentLoaded', () => {
     });
   }
 
+  // Profile
+  const profileBtn = document.getElementById('profile-btn');
+  if (profileBtn) {
+    profileBtn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      game.openProfile();
+    });
+  }
+  const profileExportBtn = document.getElementById('profile-export-btn');
+  if (profileExportBtn) profileExportBtn.addEventListener('click', () => game.exportHistory());
+  const profileImportBtn = document.getElementById('profile-import-btn');
+  const profileImportInput = document.getElementById('profile-import-input');
+  if (profileImportBtn && profileImportInput) {
+    profileImportBtn.addEventListener('click', () => profileImportInput.click());
+    profileImportInput.addEventListener('change', () => {
+      const file = profileImportInput.files[0];
+      profileImportInput.value = '';
+      if (file) game.importHistory(file);
+    });
+  }
+  const profileDoneBtn = document.getElementById('profile-done-btn');
+  if (profileDoneBtn) profileDoneBtn.addEventListener('click', () => game.closeProfile());
+
+  // Achievements
+  const achievementsBtn = document.getElementById('achievements-btn');
+  if (achievementsBtn) {
+    achievementsBtn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      game.openAchievements();
+    });
+  }
+  const achievementsDoneBtn = document.getElementById('achievements-done-btn');
+  if (achievementsDoneBtn) achievementsDoneBtn.addEventListener('click', () => game.closeAchievements());
+
+  // Leaderboard on the results screen: GLOBAL/FRIENDS toggle and the replay behind each entry
+  const resultBoard = document.getElementById('result-board');
+  if (resultBoard) {
+    resultBoard.addEventListener('click', (e) => {
+      const scope = e.target.closest('.board-scope');
+      if (scope) game.setBoardScope(scope.dataset.scope);
+      const watch = e.target.closest('.board-watch');
+      if (watch) game.watchBoardReplay(watch.dataset.id);
+    });
+  }
+
+  // Daily challenge
+  const dailyBtn = document.getElementById('daily-btn');
+  if (dailyBtn) {
+    dailyBtn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      game.openDaily();
+    });
+  }
+  const dailyRankedBtn = document.getElementById('daily-ranked-btn');
+  if (dailyRankedBtn) dailyRankedBtn.addEventListener('click', () => game.startDailyAttempt());
+  const dailyPracticeBtn = document.getElementById('daily-practice-btn');
+  if (dailyPracticeBtn) dailyPracticeBtn.addEventListener('click', () => game.practiceDaily());
+  const dailyBackBtn = document.getElementById('daily-back-btn');
+  if (dailyBackBtn) dailyBackBtn.addEventListener('click', () => game.closeDaily());
+
+  // Settings
+  const settingsBtn = document.getElementById('settings-btn');
+  if (settingsBtn) {
+    settingsBtn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      game.openSettings();
+    });
+  }
+  const settingsScreen = document.getElementById('settings-screen');
+  if (settingsScreen) {
+    settingsScreen.addEventListener('click', (e) => {
+      const tab = e.target.closest('.lanes-btn');
+      if (tab) game.showLayout(parseInt(tab.dataset.lanes));
+      const btn = e.target.closest('.bind-btn');
+      if (btn) game.captureBinding(parseInt(btn.dataset.lane), parseInt(btn.dataset.slot), !!btn.dataset.pad);
+    });
+    settingsScreen.addEventListener('contextmenu', (e) => {
+      const btn = e.target.closest('.bind-btn');
+      if (!btn) return;
+      e.preventDefault();
+      game.clearBinding(parseInt(btn.dataset.lane), parseInt(btn.dataset.slot), !!btn.dataset.pad);
+    });
+    settingsScreen.addEventListener('input', (e) => {
+      const name = e.target.dataset.setting;
+      if (name) game.changeSetting(name, parseInt(e.target.value) / 100);
+      const option = e.target.dataset.leaderboard;
+      if (option) game.changeLeaderboardOption(option, e.target.value);
+    });
+  }
+  const settingsResetBtn = document.getElementById('settings-reset-btn');
+  if (settingsResetBtn) settingsResetBtn.addEventListener('click', () => game.resetSettings());
+  const midiLearnBtn = document.getElementById('midi-learn-btn');
+  if (midiLearnBtn) midiLearnBtn.addEventListener('click', () => game.startMidiLearn());
+  const settingsDoneBtn = document.getElementById('settings-done-btn');
+  if (settingsDoneBtn) settingsDoneBtn.addEventListener('click', () => game.closeSettings());
+
+  // Chart editor button
+  const editorBtn = document.getElementById('editor-btn');
+  if (editorBtn) {
+    editorBtn.addEventListener('click', async (e) => {
+      e.stopPropagation();
+      if (!game.audioReady) {
+        await game.audio.init();
+        game.audioReady = true;
+      }
+      await game.audio.resume();
+      game.startEditor();
+    });
+  }
+
+  // Own audio files — pick from the title screen or drop anywhere on the menus
+  const localBtn = document.getElementById('local-file-btn');
+  const localInput = document.getElementById('local-file-input');
+  if (localBtn && localInput) {
+    localBtn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      localInput.click();
+    });
+    localInput.addEventListener('change', () => {
+      const file = localInput.files[0];
+      localInput.value = '';
+      if (file) game.loadLocalFile(file);
+    });
+  }
+  // Always cancel dragover, or a drop mid-run would navigate away to the file
+  window.addEventListener('dragover', (e) => {
+    e.preventDefault();
+    if (game.state === State.TITLE || game.state === State.SONG_SELECT) {
+      document.body.classList.add('file-dragging');
+    }
+  });
+  window.addEventListener('dragleave', (e) => {
+    if (!e.relatedTarget) document.body.classList.remove('file-dragging');
+  });
+  window.addEventListener('drop', (e) => {
+    document.body.classList.remove('file-dragging');
+    e.preventDefault();
+    const file = e.dataTransfer && e.dataTransfer.files[0];
+    if (!file) return;
+    if (/\.json$/i.test(file.name) || file.type === 'application/json') game.loadReplayFile(file);
+    else game.loadLocalFile(file);
+  });
+
+  // Replay files — watch a run someone sent you
+  const replayBtn = document.getElementById('replay-file-btn');
+  const replayInput = document.getElementById('replay-file-input');
+  if (replayBtn && replayInput) {
+    replayBtn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      replayInput.click();
+    });
+    replayInput.addEventListener('change', () => {
+      const file = replayInput.files[0];
+      replayInput.value = '';
+      if (file) game.loadReplayFile(file);
+    });
+  }
+
+  // Song select — click a card to preview it, click it again (or PLAY) to start
+  const songList = document.getElementById('song-list');
+  if (songList) {
+    songList.addEventListener('click', (e) => {
+      const card = e.target.closest('.song-card');
+      if (!card) return;
+      const index = parseInt(card.dataset.index);
+      if (index === game.library.selectedIndex) game.playSelectedSong();
+      else game.focusSong(index);
+    });
+  }
+  const songPlayBtn = document.getElementById('song-play-btn');
+  if (songPlayBtn) songPlayBtn.addEventListener('click', () => game.playSelectedSong());
+  const songPracticeBtn = document.getElementById('song-practice-btn');
+  if (songPracticeBtn) songPracticeBtn.addEventListener('click', () => game.playSelectedSong(true));
+
+  // Practice setup
+  const practiceStartBtn = document.getElementById('practice-start-btn');
+  if (practiceStartBtn) {
+    practiceStartBtn.addEventListener('click', () => {
+      const range = game.ui.readPracticeRange();
+      game.startPractice(range.start, range.end, range.rate);
+    });
+  }
+  const practiceBackBtn = document.getElementById('practice-back-btn');
+  if (practiceBackBtn) practiceBackBtn.addEventListener('click', () => game.closePracticeSetup());
+  const songBackBtn = document.getElementById('song-back-btn');
+  if (songBackBtn) songBackBtn.addEventListener('click', () => game.closeSongSelect());
+
   // Pause overlay resume
   const pauseScreen = document.getElementById('pause-screen');
   if (pauseScreen) {
     pauseScreen.addEventListener('click', () => game.resumeGame());
   }
+  const quitBtn = document.getElementById('pause-quit-btn');
+  if (quitBtn) {
+    quitBtn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      game.quitRun();
+    });
+  }
 });
 
 // Global handlers for HTML buttons
 window.gameReplay = () => { game.replay(); };
 window.gameShare = () => { game.shareResults(); };
+window.gameSongSelect = () => { game.backToSongSelect(); };
+window.gameWatchReplay = () => { game.watchLastReplay(); };
+window.gameDownloadReplay = () => { game.downloadReplay(); };
 window.openSpotify = () => { window.open('https://open.spotify.com/album/1e8GYRBtFoo0TdMIJJk8bk', '_blank'); };
+
+// For the tests, which drive the judge headlessly
+export { Game, State };
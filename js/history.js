@@ -0,0 +1,93 @@
+// FINPOP Rhythm Game — Play History
+// Every finished run kept in IndexedDB, for the profile screen and JSON export/import
+
+const DB_NAME = 'finpop';
+const DB_VERSION = 1;
+const STORE = 'plays';
+
+export const HISTORY_VERSION = 1;
+
+// IDBRequest → Promise
+const request = (req) => new Promise((resolve, reject) => {
+  req.onsuccess = () => resolve(req.result);
+  req.onerror = () => reject(req.error);
+});
+
+// Same run imported twice (or exported and re-imported) is only kept once
+const playKey = (play) => `${play.songId}@${play.playedAt}`;
+
+export class PlayHistory {
+  constructor() {
+    this.db = null; // stays null without IndexedDB (private windows, old browsers): history just isn't kept
+  }
+
+  async open() {
+    if (this.db || typeof indexedDB === 'undefined') return;
+    try {
+      const req = indexedDB.open(DB_NAME, DB_VERSION);
+      req.onupgradeneeded = () => {
+        const store = req.result.createObjectStore(STORE, { keyPath: 'id', autoIncrement: true });
+        store.createIndex('playedAt', 'playedAt');
+      };
+      this.db = await request(req);
+    } catch (e) {
+      console.warn('Play history unavailable:', e && e.message);
+    }
+  }
+
+  store(mode) {
+    return this.db.transaction(STORE, mode).objectStore(STORE);
+  }
+
+  async add(play) {
+    if (!this.db) return;
+    await request(this.store('readwrite').add(play));
+  }
+
+  // Oldest first
+  async all() {
+    if (!this.db) return [];
+    return request(this.store('readonly').index('playedAt').getAll());
+  }
+
+  async exportData() {
+    return { version: HISTORY_VERSION, exportedAt: Date.now(), plays: (await this.all()).map(({ id, ...play }) => play) };
+  }
+
+  // Merge an export into the history; returns how many plays were new
+  async importData(data) {
+    if (!data || data.version !== HISTORY_VERSION || !Array.isArray(data.plays)) throw new Error('not a play history export');
+    if (!this.db) throw new Error('play history unavailable in this browser');
+    const known = new Set((await this.all()).map(playKey));
+    const fresh = data.plays.filter(p => isPlay(p) && !known.has(playKey(p)));
+    const store = this.store('readwrite');
+    await Promise.all(fresh.map(({ id, ...play }) => request(store.add(play))));
+    return fresh.length;
+  }
+}
+
+// Everything the profile reads from a play, so an imported row can't break it
+function isPlay(p) {
+  return p && typeof p === 'object' && typeof p.songId === 'string' && typeof p.title === 'string' &&
+    typeof p.difficulty === 'string' && typeof p.grade === 'string' && Number.isFinite(p.playedAt) &&
+    Number.isFinite(p.playTime) && Number.isFinite(p.score) && Number.isFinite(p.approvalRate);
+}
+
+// Totals, bests per song/difficulty (failed runs never count) and the most recent plays
+export function summarizeHistory(plays, recentCount = 20) {
+  const bests = new Map();
+  let playTime = 0;
+  for (const play of plays) {
+    playTime += play.playTime || 0;
+    if (play.failed) continue;
+    const key = `${play.songId}|${play.difficulty}`;
+    const best = bests.get(key);
+    if (!best || play.score > best.score) bests.set(key, play);
+  }
+  return {
+    plays: plays.length,
+    playTime,
+    bests: [...bests.values()].sort((a, b) => a.title.localeCompare(b.title) || a.difficulty.localeCompare(b.difficulty)),
+    recent: plays.slice(-recentCount).reverse(),
+  };
+}
@@ -1,5 +1,7 @@
 // FINPOP Rhythm Game — Input Handler
-// Handles keyboard (D/F/J/K) and multi-touch input
+// Handles keyboard (rebindable), multi-touch, gamepad and MIDI input, queueing timestamped lane events
+
+import { DEFAULT_BINDINGS, DEFAULT_PAD_BINDINGS, DEFAULT_MIDI_NOTES, PAD } from './settings.js';
 
 export class InputHandler {
   constructor() {
@@ -8,27 +10,39 @@ export class InputHandler {
     this.touches = new Map(); // touchId -> lane
     this.prevTouches = new Set();
     this.currentTouches = new Set();
-    this.laneCount = 4;
+    this.laneCount = 4; // follows the chart (see setLaneCount)
     this.isMobile = false;
     this.canvas = null;
 
-    // Key bindings: lanes 0-3
-    this.keyMap = {
-      'd': 0, 'D': 0,
-      'f': 1, 'F': 1,
-      'j': 2, 'J': 2,
-      'k': 3, 'K': 3,
-      // Arrow keys as alternative
-      'ArrowLeft': 0,
-      'ArrowDown': 1,
-      'ArrowUp': 2,
-      'ArrowRight': 3,
-    };
+    // Key bindings: key -> lane (see setBindings; defaults D/F/J/K + arrows)
+    this.keyMap = {};
+    this.setBindings(DEFAULT_BINDINGS[4]);
+
+    // Gamepads have no button events, so they're polled once a frame (see pollGamepads)
+    this.padMap = {}; // button index -> lane
+    this.padHeld = new Set(); // buttons down on any connected pad
+    this.padLanes = new Set();
+    this.setPadBindings(DEFAULT_PAD_BINDINGS[4]);
+    this.justPressedButtons = new Set();
+    this.lastDevice = 'keyboard'; // 'keyboard' | 'pad' | 'midi' — which prompts to show
+
+    // Web MIDI note-on/off (see enableMidi)
+    this.midiAccess = null;
+    this.midiMap = {}; // note number -> lane
+    this.setMidiNotes(DEFAULT_MIDI_NOTES[4]);
+    this.midiHeld = new Set();
+    this.justPressedNotes = new Set();
 
     this.anyKeyPressed = false;
     this.spacePressed = false;
     this.prevSpacePressed = false;
     this.escPressed = false;
+    this.justPressedKeys = new Set(); // keys pressed this frame, for menu navigation
+
+    // Lane presses/releases as they happened: { lane, down, timeStamp, velocity? } with
+    // timeStamp in performance.now() milliseconds (velocity only from MIDI), drained by the game each frame
+    this.laneEvents = [];
+    this.lastPressTime = 0; // timeStamp of the latest key/tap, for calibration
   }
 
   init(canvas) {
@@ -37,57 +51,61 @@ export class InputHandler {
 
     // Keyboard events
     window.addEventListener('keydown', (e) => {
+      // Typing into a text field (leaderboard settings) isn't game input; ESC still closes the screen
+      if (e.target && e.target.tagName === 'INPUT' && e.target.type === 'text' && e.key !== 'Escape') return;
+      const lane = this.keyMap[e.key];
+      const wasPressed = lane !== undefined && this.isLanePressed(lane);
       this.keys[e.key] = true;
+      if (lane !== undefined && !wasPressed) this.pushLaneEvent(lane, true, e);
+      if (!e.repeat) this.lastPressTime = this.eventTime(e);
+      this.lastDevice = 'keyboard';
       if (e.key === ' ') {
         this.spacePressed = true;
         e.preventDefault();
       }
       if (e.key === 'Escape') this.escPressed = true;
+      this.justPressedKeys.add(e.key);
       this.anyKeyPressed = true;
     });
 
     window.addEventListener('keyup', (e) => {
+      const lane = this.keyMap[e.key];
+      const wasPressed = lane !== undefined && this.isLanePressed(lane);
       this.keys[e.key] = false;
+      if (wasPressed && !this.isLanePressed(lane)) this.pushLaneEvent(lane, false, e);
       if (e.key === ' ') this.spacePressed = false;
     });
 
+    // Keyups never arrive for keys held while the window loses focus
+    window.addEventListener('blur', () => this.releaseAll());
+
     // Touch events
     canvas.addEventListener('touchstart', (e) => {
       e.preventDefault();
       this.anyKeyPressed = true;
+      this.lastPressTime = this.eventTime(e);
       for (const touch of e.changedTouches) {
         const lane = this.getTouchLane(touch);
         if (lane >= 0) {
+          const wasPressed = this.isLanePressed(lane);
           this.touches.set(touch.identifier, lane);
           this.currentTouches.add(lane);
+          if (!wasPressed) this.pushLaneEvent(lane, true, e);
         }
       }
     }, { passive: false });
 
     canvas.addEventListener('touchend', (e) => {
       e.preventDefault();
-      for (const touch of e.changedTouches) {
-        const lane = this.touches.get(touch.identifier);
-        if (lane !== undefined) {
-          this.currentTouches.delete(lane);
-        }
-        this.touches.delete(touch.identifier);
-      }
+      this.endTouches(e);
     }, { passive: false });
 
-    canvas.addEventListener('touchcancel', (e) => {
-      for (const touch of e.changedTouches) {
-        const lane = this.touches.get(touch.identifier);
-        if (lane !== undefined) {
-          this.currentTouches.delete(lane);
-        }
-        this.touches.delete(touch.identifier);
-      }
-    });
+    canvas.addEventListener('touchcancel', (e) => this.endTouches(e));
 
     // Mouse click for desktop (title screen etc.)
-    canvas.addEventListener('mousedown', () => {
+    canvas.addEventListener('mousedown', (e) => {
       this.anyKeyPressed = true;
+      this.lastPressTime = this.eventTime(e);
     });
 
     // Click/tap for any interaction
@@ -96,6 +114,191 @@ export class InputHandler {
     });
   }
 
+  // Touch zones split the canvas evenly, so they follow the count on their own.
+  // Callers set the matching bindings afterwards.
+  setLaneCount(count) {
+    this.releaseAll();
+    this.laneCount = count;
+  }
+
+  // bindings: one [primary, alt] key pair per lane; letters match either case
+  setBindings(bindings) {
+    this.keys = {}; // drop held state for keys that may no longer be lanes
+    this.keyMap = {};
+    bindings.forEach((keys, lane) => {
+      for (const key of keys) {
+        if (!key) continue;
+        this.keyMap[key] = lane;
+        if (key.length === 1) this.keyMap[key.toUpperCase()] = lane;
+      }
+    });
+  }
+
+  // bindings: one [primary, alt] button-index pair per lane
+  setPadBindings(bindings) {
+    this.padMap = {};
+    bindings.forEach((buttons, lane) => {
+      for (const button of buttons) {
+        if (button !== null) this.padMap[button] = lane;
+      }
+    });
+    this.padLanes = this.lanesFor(this.padHeld);
+  }
+
+  lanesFor(buttons) {
+    const lanes = new Set();
+    for (const button of buttons) {
+      if (this.padMap[button] !== undefined) lanes.add(this.padMap[button]);
+    }
+    return lanes;
+  }
+
+  // Read every connected pad; call once per frame before the game updates.
+  // Buttons from all pads are merged, so any of them can play.
+  pollGamepads() {
+    if (!navigator.getGamepads) return;
+    const now = performance.now();
+    const held = new Set();
+    let timeStamp = 0;
+    for (const pad of navigator.getGamepads()) {
+      if (!pad || !pad.connected) continue;
+      pad.buttons.forEach((b, i) => {
+        if (b.pressed || b.value > 0.5) held.add(i);
+      });
+      // Gamepad.timestamp is when the pad last reported a change, on the performance.now() clock
+      if (pad.timestamp > 0 && pad.timestamp <= now) timeStamp = Math.max(timeStamp, pad.timestamp);
+    }
+    if (!timeStamp) timeStamp = now;
+
+    const wasPressed = [];
+    for (let lane = 0; lane < this.laneCount; lane++) wasPressed[lane] = this.isLanePressed(lane);
+
+    for (const button of held) {
+      if (this.padHeld.has(button)) continue;
+      this.justPressedButtons.add(button);
+      this.lastPressTime = timeStamp;
+      this.lastDevice = 'pad';
+      if (button === PAD.A || button === PAD.START) this.anyKeyPressed = true;
+    }
+    this.padHeld = held;
+    this.padLanes = this.lanesFor(held);
+
+    for (let lane = 0; lane < this.laneCount; lane++) {
+      const pressed = this.isLanePressed(lane);
+      if (pressed !== wasPressed[lane]) this.laneEvents.push({ lane, down: pressed, timeStamp });
+    }
+  }
+
+  // --- Web MIDI ---
+  // Start listening to every MIDI input. `access` may be passed in (a mocked MIDIAccess,
+  // say); otherwise the browser is asked for it. Resolves false when MIDI is unavailable.
+  async enableMidi(access = null) {
+    if (!access) {
+      if (!navigator.requestMIDIAccess) return false;
+      try {
+        access = await navigator.requestMIDIAccess();
+      } catch (e) {
+        return false;
+      }
+    }
+    this.midiAccess = access;
+    const listen = () => {
+      for (const port of access.inputs.values()) port.onmidimessage = (e) => this.onMidiMessage(e);
+    };
+    listen();
+    access.onstatechange = listen; // devices plugged in later
+    return true;
+  }
+
+  getMidiInputNames() {
+    return this.midiAccess ? [...this.midiAccess.inputs.values()].map(port => port.name) : [];
+  }
+
+  // notes: one list of MIDI note numbers per lane
+  setMidiNotes(notes) {
+    this.midiMap = {};
+    notes.forEach((list, lane) => {
+      for (const note of list) this.midiMap[note] = lane;
+    });
+  }
+
+  onMidiMessage(e) {
+    const [status, note, velocity = 0] = e.data;
+    const type = status & 0xf0;
+    if (type !== 0x90 && type !== 0x80) return;
+    const down = type === 0x90 && velocity > 0; // note-on at velocity 0 is a note-off
+    const timeStamp = this.eventTime(e);
+
+    if (down) {
+      this.justPressedNotes.add(note);
+      this.lastPressTime = timeStamp;
+      this.lastDevice = 'midi';
+      this.anyKeyPressed = true;
+    }
+    const lane = this.midiMap[note];
+    if (lane === undefined) return;
+
+    // Drum pads often skip the note-off: a second hit on a held note releases and re-presses
+    if (down && this.midiHeld.has(note)) {
+      this.midiHeld.delete(note);
+      if (!this.isLanePressed(lane)) this.laneEvents.push({ lane, down: false, timeStamp });
+    }
+    const wasPressed = this.isLanePressed(lane);
+    if (down) this.midiHeld.add(note);
+    else this.midiHeld.delete(note);
+    const pressed = this.isLanePressed(lane);
+    if (pressed === wasPressed) return;
+    this.laneEvents.push(down ? { lane, down, timeStamp, velocity } : { lane, down, timeStamp });
+  }
+
+  endTouches(e) {
+    for (const touch of e.changedTouches) {
+      const lane = this.touches.get(touch.identifier);
+      this.touches.delete(touch.identifier);
+      if (lane === undefined) continue;
+      // Another finger may still be on the same lane
+      if ([...this.touches.values()].includes(lane)) continue;
+      const wasPressed = this.isLanePressed(lane);
+      this.currentTouches.delete(lane);
+      if (wasPressed && !this.isLanePressed(lane)) this.pushLaneEvent(lane, false, e);
+    }
+  }
+
+  releaseAll() {
+    const now = performance.now();
+    const wasPressed = [];
+    for (let lane = 0; lane < this.laneCount; lane++) wasPressed[lane] = this.isLanePressed(lane);
+    this.keys = {};
+    this.touches.clear();
+    this.currentTouches.clear();
+    // Buttons still down come back as fresh presses on the next poll
+    this.padHeld = new Set();
+    this.padLanes = new Set();
+    // MIDI keeps arriving without focus, so held notes stay held
+    for (let lane = 0; lane < this.laneCount; lane++) {
+      if (wasPressed[lane] && !this.isLanePressed(lane)) this.laneEvents.push({ lane, down: false, timeStamp: now });
+    }
+  }
+
+  // event.timeStamp shares performance.now()'s origin in current browsers; very old ones used epoch ms
+  eventTime(e) {
+    const now = performance.now();
+    return e.timeStamp > 0 && e.timeStamp <= now + 1000 ? e.timeStamp : now;
+  }
+
+  pushLaneEvent(lane, down, e) {
+    this.laneEvents.push({ lane, down, timeStamp: this.eventTime(e) });
+  }
+
+  // Lane events since the last call, oldest first. They're queued as each source delivers them
+  // (pads once a frame, MIDI whenever it arrives), so not always in the order they happened;
+  // the sort is stable, so events with the same timestamp keep the order they came in.
+  drainLaneEvents() {
+    const events = this.laneEvents;
+    this.laneEvents = [];
+    return events.sort((a, b) => a.timeStamp - b.timeStamp);
+  }
+
   getTouchLane(touch) {
     if (!this.canvas) return -1;
     const rect = this.canvas.getBoundingClientRect();
@@ -110,8 +313,12 @@ export class InputHandler {
     for (const [key, mappedLane] of Object.entries(this.keyMap)) {
       if (mappedLane === lane && this.keys[key]) return true;
     }
-    // Check touch
-    return this.currentTouches.has(lane);
+    // Check MIDI
+    for (const note of this.midiHeld) {
+      if (this.midiMap[note] === lane) return true;
+    }
+    // Check touch and gamepad
+    return this.currentTouches.has(lane) || this.padLanes.has(lane);
   }
 
   isLaneJustPressed(lane) {
@@ -125,6 +332,32 @@ export class InputHandler {
     return result;
   }
 
+  isKeyJustPressed(key) {
+    return this.justPressedKeys.has(key);
+  }
+
+  // First key pressed this frame (for rebinding), or null
+  getJustPressedKey() {
+    for (const key of this.justPressedKeys) return key;
+    return null;
+  }
+
+  isButtonJustPressed(button) {
+    return this.justPressedButtons.has(button);
+  }
+
+  // First gamepad button pressed this frame (for rebinding), or null
+  getJustPressedButton() {
+    for (const button of this.justPressedButtons) return button;
+    return null;
+  }
+
+  // First MIDI note struck this frame (for learn mode), or null
+  getJustPressedNote() {
+    for (const note of this.justPressedNotes) return note;
+    return null;
+  }
+
   isSpaceJustPressed() {
     return this.spacePressed && !this.prevSpacePressed;
   }
@@ -142,6 +375,10 @@ export class InputHandler {
     this.prevSpacePressed = this.spacePressed;
     this.anyKeyPressed = false;
     this.escPressed = false;
+    this.justPressedKeys.clear();
+    this.justPressedButtons.clear();
+    this.justPressedNotes.clear();
+    this.laneEvents.length = 0; // not consumed this frame — nothing was being judged
   }
 
   consumeAnyKey() {
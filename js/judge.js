@@ -0,0 +1,184 @@
+// FINPOP Rhythm Game — Judge
+// Turns lane presses/releases into judgments against a loaded chart. No audio, DOM or drawing,
+// so the game, replay verification and the leaderboard server all judge a run the same way.
+
+import { Judgment, TIMING, RELEASE_TIMING } from './scorer.js';
+import { toReplayTime } from './replay.js';
+
+export class Judge {
+  // feedback: optional hooks for whoever is watching the run
+  //   judged(judgment, lane, time, timeDiff, result) — result is null for misses and hold breaks
+  //   hitError(timeDiff, judgment) — a press landed near a note
+  //   input(event) — a lane event is about to be judged (the replay recorder)
+  constructor(beatmap, scorer, feedback = {}) {
+    this.beatmap = beatmap;
+    this.scorer = scorer;
+    this.feedback = feedback;
+    this.rate = 1; // playback rate; windows stay in real time when practice slows the track
+    this.laneHeld = [];
+    this.settledTime = -Infinity; // song time misses/hold ticks have been processed up to
+  }
+
+  reset(rate = 1) {
+    this.rate = rate;
+    this.laneHeld = new Array(this.beatmap.laneCount).fill(false);
+    this.settledTime = -Infinity;
+  }
+
+  // Judge lane events, then everything else that falls due up to currentTime
+  judgeUntil(currentTime, events) {
+    for (const event of events) this.handleLaneEvent(event);
+    this.settle(currentTime);
+    this.settledTime = currentTime;
+  }
+
+  // Judge a replay start to finish, `step` seconds at a time (settle() makes the step irrelevant).
+  // The chart and scorer must already be set up for it. Returns the stats it comes to.
+  run(player, end, step) {
+    let time = 0;
+    while (time < end && !this.scorer.failed && !this.beatmap.isComplete(time)) {
+      time = Math.min(end, toReplayTime(time + step));
+      this.judgeUntil(time, player.poll(time));
+    }
+    return this.scorer.getStats();
+  }
+
+  // Sustain ticks, held-through tails and closed miss windows up to `time`, each judged at its own
+  // time and in the order they fall due — so where frames (or replay steps) land changes nothing
+  settle(time) {
+    const missWindow = TIMING.MISS * this.rate;
+    for (;;) {
+      const hold = this.nextHoldDue();
+      const miss = this.beatmap.nextMissDeadline(missWindow);
+      // A press right on the deadline still counts, so a window only closes once time is past it
+      if (hold <= time && hold <= miss) this.updateHolds(hold);
+      else if (miss < time) this.markMissed(miss, missWindow);
+      else return;
+    }
+  }
+
+  // Everything before an event is settled first, so a run judges the same
+  // whatever the frame timing — which is what lets replays re-simulate it
+  handleLaneEvent(event) {
+    if (this.scorer.failed) return;
+    this.settle(event.time);
+    this.laneHeld[event.lane] = event.down;
+    if (this.feedback.input) this.feedback.input(event);
+
+    if (event.down) {
+      this.judgePress(event.lane, event.time);
+    } else {
+      for (const note of this.beatmap.getActiveHolds()) {
+        if (note.lane === event.lane) this.releaseHold(note, event.time);
+      }
+    }
+  }
+
+  judged(judgment, lane, time, timeDiff, result = null) {
+    if (this.feedback.judged) this.feedback.judged(judgment, lane, time, timeDiff, result);
+  }
+
+  // Notes whose miss window closed at `time`
+  markMissed(time, missWindow) {
+    for (const note of this.beatmap.markMissedNotes(time, missWindow)) {
+      this.scorer.addHit(Judgment.CHARGEBACK, time, this.noteDetail(note));
+      this.missHoldTail(note, time);
+      this.judged(Judgment.CHARGEBACK, note.lane, time, 0);
+    }
+  }
+
+  // A hold missed at the head loses its tail too: a hold is two judgments however it goes,
+  // so skipping one never rates better than breaking it
+  missHoldTail(note, time) {
+    if (note.type === 'hold' && note.duration > 0) {
+      this.scorer.addHit(Judgment.CHARGEBACK, time, this.noteDetail(note, note.duration));
+    }
+  }
+
+  // Which note a judgment belongs to, for the results timeline: its lane and chart time (+ `at` for hold tails)
+  noteDetail(note, at = 0) {
+    return { lane: note.lane, noteTime: note.time + at - this.beatmap.offset };
+  }
+
+  judgePress(lane, currentTime) {
+    const candidates = this.beatmap.getJudgableNotes(currentTime, lane, TIMING.MISS * this.rate);
+    if (candidates.length === 0) return;
+
+    let closest = null;
+    let closestDiff = Infinity;
+    for (const note of candidates) {
+      const diff = Math.abs(note.time - currentTime);
+      if (diff < closestDiff) { closestDiff = diff; closest = note; }
+    }
+    if (!closest) return;
+
+    // Windows are in real time, so slowed practice doesn't make them looser
+    const timeDiff = (closest.time - currentTime) / this.rate;
+    const judgment = this.scorer.judge(timeDiff);
+
+    closest.judged = true;
+    closest.hit = judgment !== Judgment.CHARGEBACK;
+
+    // A hit hold head starts the sustain; the tail is judged on release
+    if (closest.type === 'hold' && closest.duration > 0 && closest.hit) {
+      closest.holding = true;
+      closest.nextTick = closest.time + this.getHoldTickInterval(closest.time);
+    }
+
+    const result = this.scorer.addHit(judgment, currentTime, { ...this.noteDetail(closest), offset: timeDiff });
+    if (!closest.hit) this.missHoldTail(closest, currentTime);
+    if (this.feedback.hitError) this.feedback.hitError(timeDiff, judgment);
+    this.judged(judgment, lane, currentTime, timeDiff, result);
+  }
+
+  // --- HOLD NOTES ---
+  getHoldTickInterval(time) {
+    return this.beatmap.timing.beatDuration(time) / 2; // one tick per eighth note
+  }
+
+  // Letting go is handled by the release event (handleLaneEvent); this scores
+  // sustain ticks up to currentTime and finishes holds kept down to the tail
+  updateHolds(currentTime) {
+    for (const note of this.beatmap.getActiveHolds()) {
+      const end = note.time + note.duration;
+
+      while (note.nextTick < end && note.nextTick <= currentTime) {
+        this.scorer.addHoldTick();
+        note.nextTick += this.getHoldTickInterval(note.nextTick);
+      }
+
+      if (currentTime >= end) {
+        // Held all the way through — release is judged at the tail
+        this.releaseHold(note, end);
+      }
+    }
+  }
+
+  // Earliest sustain tick or held-through tail still to come
+  nextHoldDue() {
+    let next = Infinity;
+    for (const note of this.beatmap.getActiveHolds()) {
+      const end = note.time + note.duration;
+      next = Math.min(next, note.nextTick < end ? note.nextTick : end);
+    }
+    return next;
+  }
+
+  releaseHold(note, releaseTime) {
+    const timeDiff = (note.time + note.duration - releaseTime) / this.rate;
+    note.holding = false;
+
+    if (timeDiff > RELEASE_TIMING.DECLINED) {
+      // Let go too early — hold break
+      note.broken = true;
+      this.scorer.addHoldBreak(releaseTime, this.noteDetail(note, note.duration));
+      this.judged(Judgment.CHARGEBACK, note.lane, releaseTime, 0);
+      return;
+    }
+
+    note.released = true;
+    const judgment = this.scorer.judgeRelease(timeDiff);
+    const result = this.scorer.addHit(judgment, releaseTime, this.noteDetail(note, note.duration));
+    this.judged(judgment, note.lane, releaseTime, timeDiff, result);
+  }
+}
@@ -0,0 +1,83 @@
+// FINPOP Rhythm Game — Leaderboard
+// Client for a self-hosted leaderboard server (server/leaderboard.mjs): submits ranked runs with their replay, fetches top-N boards
+
+import { modifierKey } from './modifiers.js';
+
+export const BOARD_SIZE = 10;
+
+// Give up on a slow or unreachable server rather than leave the results screen waiting
+const TIMEOUT_MS = 8000;
+
+export class LeaderboardClient {
+  constructor() {
+    this.url = '';     // server base URL; empty = leaderboard off
+    this.player = '';
+    this.friends = []; // names shown on the FRIENDS board, alongside the player
+  }
+
+  get enabled() {
+    return !!this.url && !!this.player;
+  }
+
+  load() {
+    try {
+      const saved = JSON.parse(localStorage.getItem('finpop_leaderboard') || 'null');
+      if (saved) this.configure(saved);
+    } catch (e) { /* localStorage unavailable or corrupt — leaderboard stays off */ }
+  }
+
+  save() {
+    try {
+      localStorage.setItem('finpop_leaderboard', JSON.stringify({ url: this.url, player: this.player, friends: this.friends }));
+    } catch (e) { /* localStorage unavailable */ }
+  }
+
+  // friends may be an array or the comma-separated text from the settings field
+  configure({ url = this.url, player = this.player, friends = this.friends }) {
+    const name = (s) => String(s).trim().replace(/\s+/g, ' ').slice(0, 24);
+    this.url = String(url).trim().replace(/\/+$/, '');
+    this.player = name(player);
+    this.friends = (Array.isArray(friends) ? friends : String(friends).split(',')).map(name).filter(Boolean);
+  }
+
+  async request(path, options = {}) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), TIMEOUT_MS);
+    try {
+      const res = await fetch(`${this.url}${path}`, { ...options, signal: controller.signal });
+      const body = await res.json().catch(() => ({}));
+      if (!res.ok) throw new Error(body.error || `HTTP ${res.status}`);
+      return body;
+    } catch (e) {
+      throw e.name === 'AbortError' ? new Error('server timed out') : e;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  // → { id, rank, best } — best is false when the player already has a higher score on this board
+  submit(replay) {
+    return this.request('/api/scores', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ player: this.player, replay }),
+    });
+  }
+
+  // The board a run belongs to: same song, difficulty, modifier set and chart version
+  async top(run, friendsOnly = false, limit = BOARD_SIZE) {
+    const params = new URLSearchParams({
+      song: run.songId,
+      difficulty: run.difficulty,
+      mods: modifierKey(run.mods),
+      chart: run.chartHash,
+      limit,
+    });
+    if (friendsOnly) params.set('players', [this.player, ...this.friends].join(','));
+    return (await this.request(`/api/scores?${params}`)).entries;
+  }
+
+  fetchReplay(id) {
+    return this.request(`/api/replays/${encodeURIComponent(id)}`);
+  }
+}
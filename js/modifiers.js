@@ -0,0 +1,102 @@
+// FINPOP Rhythm Game — Modifiers
+// Per-run chart modifiers: lane mirror/shuffle, hidden/sudden note fading, no-fail and scroll speed
+
+import { seededRandom } from './random.js';
+
+export const MODIFIER_NAMES = ['mirror', 'random', 'hidden', 'sudden', 'nofail'];
+
+// What a run without modifiers looks like (older replays carry no modifiers at all)
+const NO_MODIFIERS = { mirror: false, random: false, seed: 0, hidden: false, sudden: false, nofail: false, speed: 1 };
+
+const newSeed = () => 1 + Math.floor(Math.random() * 9999);
+
+export class Modifiers {
+  constructor() {
+    this.reset();
+  }
+
+  reset() {
+    this.mirror = false;
+    this.random = false;
+    this.hidden = false;
+    this.sudden = false;
+    this.nofail = false;
+    this.seed = newSeed(); // kept until RANDOM is switched on again, so a shuffle can be replayed
+  }
+
+  load() {
+    try {
+      const saved = JSON.parse(localStorage.getItem('finpop_modifiers') || 'null');
+      if (!saved) return;
+      for (const name of MODIFIER_NAMES) {
+        if (typeof saved[name] === 'boolean') this[name] = saved[name];
+      }
+      if (Number.isInteger(saved.seed) && saved.seed > 0) this.seed = saved.seed;
+    } catch (e) { /* localStorage unavailable or corrupt — keep defaults */ }
+  }
+
+  save() {
+    try {
+      localStorage.setItem('finpop_modifiers', JSON.stringify({
+        mirror: this.mirror, random: this.random, hidden: this.hidden, sudden: this.sudden, nofail: this.nofail, seed: this.seed,
+      }));
+    } catch (e) { /* localStorage unavailable */ }
+  }
+
+  toggle(name) {
+    if (!MODIFIER_NAMES.includes(name)) return;
+    this[name] = !this[name];
+    if (name === 'random' && this.random) this.seed = newSeed();
+    this.save();
+  }
+
+  // Plain object describing a run (stored with replays); speed is the player's scroll speed
+  snapshot(speed) {
+    return normalizeModifiers({
+      mirror: this.mirror, random: this.random, seed: this.seed, hidden: this.hidden, sudden: this.sudden, nofail: this.nofail, speed,
+    });
+  }
+}
+
+export function normalizeModifiers(data, speed = 1) {
+  const mods = { ...NO_MODIFIERS, speed };
+  if (!data || typeof data !== 'object') return mods;
+  for (const name of MODIFIER_NAMES) mods[name] = data[name] === true;
+  if (mods.random && Number.isInteger(data.seed)) mods.seed = data.seed;
+  if (typeof data.speed === 'number' && data.speed > 0) mods.speed = data.speed;
+  return mods;
+}
+
+// Where each chart lane ends up: map[lane] = lane it's played on
+export function laneMap(count, mods) {
+  let map = Array.from({ length: count }, (_, i) => i);
+  if (mods.random) {
+    const rand = seededRandom(mods.seed);
+    for (let i = count - 1; i > 0; i--) {
+      const j = Math.floor(rand() * (i + 1));
+      [map[i], map[j]] = [map[j], map[i]];
+    }
+  }
+  if (mods.mirror) map = map.map(lane => count - 1 - lane);
+  return map;
+}
+
+// Short tags for results, best scores and the share image; empty for an unmodified run
+export function describeModifiers(mods) {
+  if (!mods) return [];
+  const tags = [];
+  if (mods.mirror) tags.push('MIRROR');
+  if (mods.random) tags.push(`RANDOM #${mods.seed}`);
+  if (mods.hidden) tags.push('HIDDEN');
+  if (mods.sudden) tags.push('SUDDEN');
+  if (mods.nofail) tags.push('NO FAIL');
+  if (mods.speed !== 1) tags.push(`${mods.speed.toFixed(1)}x`);
+  return tags;
+}
+
+// Which leaderboard a run competes on: the modifiers that change the chart or the rules.
+// The RANDOM seed and scroll speed don't split boards. server/leaderboard.mjs keys boards with this too.
+export function modifierKey(mods) {
+  const names = MODIFIER_NAMES.filter(name => mods && mods[name] === true);
+  return names.length ? names.join('+') : 'none';
+}
@@ -0,0 +1,34 @@
+// FINPOP Rhythm Game — Seeded Randomness
+// Deterministic PRNG for anything that has to come out the same twice: shuffled lanes, generated charts, daily picks
+
+// mulberry32: the same seed always gives the same sequence of floats in [0, 1)
+export function seededRandom(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// 32-bit FNV-1a of `length` values read by valueAt(i) — the one hash behind seeds and content ids
+function fnv1a(length, valueAt) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < length; i++) {
+    h ^= valueAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+// FNV-1a of a string (its UTF-16 code units), as a seed
+export function hashSeed(text) {
+  return fnv1a(text.length, i => text.charCodeAt(i));
+}
+
+// FNV-1a of raw bytes (a Uint8Array)
+export function hashBytes(bytes) {
+  return fnv1a(bytes.length, i => bytes[i]);
+}
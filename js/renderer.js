@@ -1,17 +1,30 @@
 // FINPOP Rhythm Game — Canvas Renderer
 // Handles all visual rendering: lanes, notes, effects, particles
 
-import { Judgment } from './scorer.js';
+import { Judgment, TIMING } from './scorer.js';
 
-// Character theme colors
+// Character theme colors — the four founders, then the extra seats 5K–7K charts bring in
 export const LANE_COLORS = [
-  { name: 'LUNA',  role: 'CEO', main: '#FFD700', glow: '#FFA500', bg: 'rgba(255,215,0,0.08)' },
-  { name: 'IRIS',  role: 'CTO', main: '#C77DFF', glow: '#9B59B6', bg: 'rgba(199,125,255,0.08)' },
-  { name: 'NOVA',  role: 'CFO', main: '#00D4FF', glow: '#0099CC', bg: 'rgba(0,212,255,0.08)' },
-  { name: 'VERA',  role: 'COO', main: '#00FF88', glow: '#00CC66', bg: 'rgba(0,255,136,0.08)' },
+  { name: 'LUNA',  role: 'CEO',  icon: '💳', main: '#FFD700', glow: '#FFA500', bg: 'rgba(255,215,0,0.08)' },
+  { name: 'IRIS',  role: 'CTO',  icon: '⚡', main: '#C77DFF', glow: '#9B59B6', bg: 'rgba(199,125,255,0.08)' },
+  { name: 'NOVA',  role: 'CFO',  icon: '◆', main: '#00D4FF', glow: '#0099CC', bg: 'rgba(0,212,255,0.08)' },
+  { name: 'VERA',  role: 'COO',  icon: '▸', main: '#00FF88', glow: '#00CC66', bg: 'rgba(0,255,136,0.08)' },
+  { name: 'ZARA',  role: 'CRO',  icon: '▲', main: '#FF5C8A', glow: '#D63A68', bg: 'rgba(255,92,138,0.08)' },
+  { name: 'KAI',   role: 'CISO', icon: '✦', main: '#FF8C42', glow: '#D96A20', bg: 'rgba(255,140,66,0.08)' },
+  { name: 'MIRA',  role: 'CCO',  icon: '●', main: '#7FA7FF', glow: '#5A7FD6', bg: 'rgba(127,167,255,0.08)' },
 ];
 
-const JUDGMENT_COLORS = {
+// Which character sits in each lane, left to right: the founders keep the outer lanes
+const LANE_ORDER = {
+  4: [0, 1, 2, 3],
+  5: [0, 1, 4, 2, 3],
+  6: [0, 1, 4, 5, 2, 3],
+  7: [0, 1, 4, 6, 5, 2, 3],
+};
+
+export const laneColors = (count) => (LANE_ORDER[count] || LANE_ORDER[4]).map(i => LANE_COLORS[i]);
+
+export const JUDGMENT_COLORS = {
   [Judgment.APPROVED]: '#00ff88',
   [Judgment.PENDING]: '#FFD700',
   [Judgment.DECLINED]: '#ff6600',
@@ -26,14 +39,22 @@ export class Renderer {
     this.height = 0;
     this.particles = [];
     this.hitEffects = [];
+    this.hitErrors = []; // recent press offsets for the hit-error bar: { offset, judgment, at }
     this.bgElements = [];
     this.shakeAmount = 0;
     this.shakeDecay = 0.9;
     this.time = 0;
-    this.characterImages = [null, null, null, null];
+    this.characterImages = [null, null, null, null]; // by LANE_COLORS index
+    this.laneCount = 4;
+    this.laneOrder = LANE_ORDER[4];
+    this.laneColors = laneColors(4);
     this.imagesLoaded = false;
     this.dpr = window.devicePixelRatio || 1;
     this.approachTime = 2.0; // configurable per difficulty
+    this.hitLinePosition = 0.85; // fraction of screen height (settings)
+    this.hidden = false; // modifiers: notes fade out before the hit line...
+    this.sudden = false; // ...or only fade in partway down
+    this.trackTitle = 'PAYMENTS ON LOCK'; // shown in the HUD, set per song
   }
 
   init(canvas) {
@@ -71,6 +92,12 @@ export class Renderer {
     this.imagesLoaded = true;
   }
 
+  setLaneCount(count) {
+    this.laneCount = count;
+    this.laneOrder = LANE_ORDER[count] || LANE_ORDER[4];
+    this.laneColors = laneColors(count);
+  }
+
   resize() {
     const dpr = window.devicePixelRatio || 1;
     this.dpr = dpr;
@@ -89,18 +116,19 @@ export class Renderer {
     const h = this.height;
     const isMobile = w < 768;
 
-    const laneAreaWidth = isMobile ? w * 0.92 : Math.min(w * 0.6, 600);
+    const laneCount = this.laneCount;
+    const laneAreaWidth = isMobile ? w * 0.92 : Math.min(w * 0.6, 150 * laneCount);
     const laneAreaX = (w - laneAreaWidth) / 2;
-    const laneWidth = laneAreaWidth / 4;
+    const laneWidth = laneAreaWidth / laneCount;
 
-    const hitLineY = h * 0.85;
+    const hitLineY = h * this.hitLinePosition;
     const topY = h * 0.08;
     const approachTime = this.approachTime; // configurable per difficulty
     const noteSpeed = (hitLineY - topY) / approachTime;
 
     return {
       w, h, isMobile,
-      laneAreaX, laneAreaWidth, laneWidth,
+      laneCount, laneAreaX, laneAreaWidth, laneWidth,
       hitLineY, topY, noteSpeed, approachTime,
     };
   }
@@ -159,17 +187,17 @@ export class Renderer {
     ctx.stroke();
   }
 
-  renderLanes(laneStates = [false, false, false, false], beatPhase = 0) {
+  renderLanes(laneStates = [], beatPhase = 0, intensity = 0.5) {
     const ctx = this.ctx;
     const layout = this.getLayout();
     const { laneAreaX, laneWidth, hitLineY, topY, h } = layout;
 
-    // Beat pulse — subtle glow on downbeats
-    const beatGlow = Math.max(0, 1 - beatPhase * 4); // bright at beat start, fades quickly
+    // Beat pulse — subtle glow on downbeats, stronger in high-intensity sections
+    const beatGlow = Math.max(0, 1 - beatPhase * 4) * (0.5 + intensity); // bright at beat start, fades quickly
 
-    for (let i = 0; i < 4; i++) {
+    for (let i = 0; i < this.laneCount; i++) {
       const x = laneAreaX + i * laneWidth;
-      const color = LANE_COLORS[i];
+      const color = this.laneColors[i];
 
       // Lane background with beat pulse
       const bgAlpha = 0.08 + beatGlow * 0.04;
@@ -230,14 +258,15 @@ export class Renderer {
       ctx.fillText(color.role, x + laneWidth / 2, labelY + 14);
 
       // Character avatar (small circle)
-      if (this.characterImages[i]) {
+      const image = this.characterImages[this.laneOrder[i]];
+      if (image) {
         const imgSize = layout.isMobile ? 28 : 36;
         ctx.save();
         ctx.beginPath();
         ctx.arc(x + laneWidth / 2, labelY + 36, imgSize / 2, 0, Math.PI * 2);
         ctx.clip();
         ctx.drawImage(
-          this.characterImages[i],
+          image,
           x + laneWidth / 2 - imgSize / 2,
           labelY + 36 - imgSize / 2,
           imgSize, imgSize
@@ -249,53 +278,90 @@ export class Renderer {
     // Right border of last lane
     ctx.strokeStyle = 'rgba(255,255,255,0.06)';
     ctx.beginPath();
-    ctx.moveTo(laneAreaX + 4 * laneWidth, topY);
-    ctx.lineTo(laneAreaX + 4 * laneWidth, hitLineY + 40);
+    ctx.moveTo(laneAreaX + this.laneCount * laneWidth, topY);
+    ctx.lineTo(laneAreaX + this.laneCount * laneWidth, hitLineY + 40);
     ctx.stroke();
   }
 
-  renderNotes(visibleNotes, currentTime) {
+  // Bar lines across the lanes, scrolling with the notes
+  renderBarLines(timing, currentTime) {
+    const ctx = this.ctx;
+    const { laneAreaX, laneAreaWidth, hitLineY, topY, approachTime } = this.getLayout();
+    // Generous lookahead: slowed SV sections keep bars on screen for longer
+    const bars = timing.getBarLines(currentTime, currentTime + approachTime * 4);
+
+    ctx.strokeStyle = 'rgba(255,255,255,0.12)';
+    ctx.lineWidth = 1;
+    for (const time of bars) {
+      const progress = 1 - (timing.scrollDistance(currentTime, time) / approachTime);
+      const y = topY + (hitLineY - topY) * progress;
+      if (y < topY || y > hitLineY) continue;
+      ctx.beginPath();
+      ctx.moveTo(laneAreaX, y);
+      ctx.lineTo(laneAreaX + laneAreaWidth, y);
+      ctx.stroke();
+    }
+  }
+
+  renderNotes(visibleNotes, currentTime, timing = null) {
     const ctx = this.ctx;
     const layout = this.getLayout();
     const { laneAreaX, laneWidth, hitLineY, topY, approachTime } = layout;
+    // Scroll-space distance to a time; plain seconds when there's no timing map
+    const distance = (time) => timing ? timing.scrollDistance(currentTime, time) : time - currentTime;
 
     for (const note of visibleNotes) {
-      if (note.hit) continue;
+      if (note.hit && !note.holding && !note.broken) continue;
 
+      const isHold = note.type === 'hold' && note.duration > 0;
       const relTime = note.time - currentTime;
-      const progress = 1 - (relTime / approachTime);
-      const y = topY + (hitLineY - topY) * progress;
+      const progress = 1 - (distance(note.time) / approachTime);
+      // A held note's head stays pinned to the hit line while the tail drains
+      const y = note.holding ? hitLineY : topY + (hitLineY - topY) * progress;
+
+      let tailY = y;
+      if (isHold) {
+        const tailProgress = 1 - (distance(note.time + note.duration) / approachTime);
+        tailY = topY + (hitLineY - topY) * tailProgress;
+      }
+
+      if (y < topY - 30 || tailY > hitLineY + 50) continue;
 
-      if (y < topY - 30 || y > hitLineY + 50) continue;
+      const alpha = this.noteVisibility(progress);
+      if (alpha <= 0) continue;
+      ctx.globalAlpha = alpha;
 
       const x = laneAreaX + note.lane * laneWidth;
-      const color = LANE_COLORS[note.lane];
+      const color = this.laneColors[note.lane];
 
       const noteWidth = laneWidth * 0.7;
       const noteHeight = 14;
       const noteX = x + (laneWidth - noteWidth) / 2;
 
-      if (note.type === 'hold' && note.duration > 0) {
+      if (isHold) {
         // Hold note — render the tail first
-        const tailEndTime = note.time + note.duration - currentTime;
-        const tailProgress = 1 - (tailEndTime / approachTime);
-        const tailY = topY + (hitLineY - topY) * tailProgress;
         const bodyTop = Math.max(tailY, topY);
+        const bodyBottom = Math.min(y, hitLineY + 40);
+        const bodyRgb = note.broken ? '120,120,140' : this.hexToRgb(color.main);
+        const bodyAlpha = note.holding ? 0.45 : 0.25;
 
-        ctx.fillStyle = `rgba(${this.hexToRgb(color.main)},0.25)`;
-        ctx.fillRect(noteX + noteWidth * 0.2, bodyTop, noteWidth * 0.6, y - bodyTop);
+        ctx.fillStyle = `rgba(${bodyRgb},${bodyAlpha})`;
+        ctx.fillRect(noteX + noteWidth * 0.2, bodyTop, noteWidth * 0.6, bodyBottom - bodyTop);
 
         // Side glow on hold body
-        ctx.strokeStyle = `rgba(${this.hexToRgb(color.main)},0.4)`;
+        ctx.strokeStyle = `rgba(${bodyRgb},${bodyAlpha + 0.15})`;
         ctx.lineWidth = 2;
         ctx.beginPath();
         ctx.moveTo(noteX + noteWidth * 0.2, bodyTop);
-        ctx.lineTo(noteX + noteWidth * 0.2, y);
+        ctx.lineTo(noteX + noteWidth * 0.2, bodyBottom);
         ctx.stroke();
         ctx.beginPath();
         ctx.moveTo(noteX + noteWidth * 0.8, bodyTop);
-        ctx.lineTo(noteX + noteWidth * 0.8, y);
+        ctx.lineTo(noteX + noteWidth * 0.8, bodyBottom);
         ctx.stroke();
+
+        // Broken holds keep only the dead tail; the head is gone
+        if (note.broken || y > hitLineY + 50) continue;
       }
 
       // Note head
@@ -317,8 +383,7 @@ export class Renderer {
       ctx.font = '9px monospace';
       ctx.textAlign = 'center';
       ctx.fillStyle = '#0a0a1a';
-      const icons = ['💳', '⚡', '◆', '▸'];
-      ctx.fillText(icons[note.lane], x + laneWidth / 2, y + 3);
+      ctx.fillText(color.icon, x + laneWidth / 2, y + 3);
 
       // Approaching warning: note glows brighter near hit zone
       if (relTime < 0.3 && relTime > 0) {
@@ -340,19 +405,71 @@ export class Renderer {
       }
     }
     ctx.shadowBlur = 0;
+    ctx.globalAlpha = 1;
+  }
+
+  // Note opacity at `progress` down the lane (0 = top, 1 = hit line) under hidden/sudden
+  noteVisibility(progress) {
+    let alpha = 1;
+    if (this.hidden) alpha = Math.min(alpha, (0.75 - progress) / 0.15);
+    if (this.sudden) alpha = Math.min(alpha, (progress - 0.25) / 0.15);
+    return Math.max(0, Math.min(1, alpha));
+  }
+
+  addHitError(offset, judgment) {
+    this.hitErrors.push({ offset, judgment, at: this.time });
+    if (this.hitErrors.length > 40) this.hitErrors.shift();
   }
 
-  renderSectionLabel(sectionName) {
-    if (!sectionName) return;
+  // Hit-error bar under the hit line: early presses tick left of centre, late ones right
+  renderHitErrorBar() {
+    const ctx = this.ctx;
+    const { laneAreaX, laneAreaWidth, hitLineY } = this.getLayout();
+    const cx = laneAreaX + laneAreaWidth / 2;
+    const y = hitLineY + 22;
+    const half = Math.min(120, laneAreaWidth * 0.4);
+    const scale = half / TIMING.MISS;
+
+    // Judgment windows, widest first
+    for (const judgment of [Judgment.DECLINED, Judgment.PENDING, Judgment.APPROVED]) {
+      const width = TIMING[judgment] * scale;
+      ctx.fillStyle = `rgba(${this.hexToRgb(JUDGMENT_COLORS[judgment])},0.18)`;
+      ctx.fillRect(cx - width, y - 2, width * 2, 4);
+    }
+    ctx.fillStyle = 'rgba(255,255,255,0.6)';
+    ctx.fillRect(cx - 1, y - 7, 2, 14);
+
+    this.hitErrors = this.hitErrors.filter(e => this.time - e.at < 3 && this.time >= e.at);
+    for (const e of this.hitErrors) {
+      const x = cx - Math.max(-1, Math.min(1, e.offset / TIMING.MISS)) * half;
+      ctx.globalAlpha = 1 - (this.time - e.at) / 3;
+      ctx.fillStyle = JUDGMENT_COLORS[e.judgment];
+      ctx.fillRect(x - 1, y - 6, 2, 12);
+    }
+    ctx.globalAlpha = 1;
+  }
+
+  renderSectionLabel(section) {
+    if (!section || !section.name) return;
+    const ctx = this.ctx;
+    const { w } = this.getLayout();
+    ctx.font = 'bold 10px monospace';
+    ctx.textAlign = 'center';
+    ctx.fillStyle = `rgba(${this.hexToRgb(section.color || '#00d4ff')},0.35)`;
+    ctx.fillText(`— ${section.name} —`, w / 2, 72);
+  }
+
+  // Tag under the HUD while a recorded run is being watched
+  renderReplayTag(text) {
     const ctx = this.ctx;
     const { w } = this.getLayout();
     ctx.font = 'bold 10px monospace';
     ctx.textAlign = 'center';
-    ctx.fillStyle = 'rgba(0,212,255,0.35)';
-    ctx.fillText(`— ${sectionName} —`, w / 2, 72);
+    ctx.fillStyle = 'rgba(255,0,64,0.8)';
+    ctx.fillText(`● ${text}`, w / 2, 88);
   }
 
-  renderHUD(score, combo, multiplier, volumeDisplay, approvalRate, progress, riskLevel) {
+  renderHUD(score, combo, multiplier, volumeDisplay, approvalRate, progress, riskLevel, health = 1, canFail = false) {
     const ctx = this.ctx;
     const layout = this.getLayout();
     const { w, isMobile } = layout;
@@ -372,7 +489,7 @@ export class Renderer {
     ctx.font = `bold ${fontSize}px monospace`;
     ctx.textAlign = 'left';
     ctx.fillStyle = '#00d4ff';
-    ctx.fillText('PAYMENTS ON LOCK: BEAT EDITION', isMobile ? 10 : 20, 20);
+    ctx.fillText(`${this.trackTitle}: BEAT EDITION`, isMobile ? 10 : 20, 20);
 
     // Status dot
     ctx.fillStyle = '#00ff88';
@@ -434,6 +551,38 @@ export class Renderer {
     ctx.textAlign = 'right';
     ctx.fillStyle = approvalRate > 90 ? '#00ff88' : approvalRate > 70 ? '#FFD700' : '#ff6600';
     ctx.fillText(`APPROVED: ${approvalRate.toFixed(1)}%`, w - (isMobile ? 10 : 20), layout.h - 8);
+
+    this.renderHealth(layout, health, canFail);
+  }
+
+  // Compliance gauge beside the lanes; dimmed when it can't fail the run (practice / NO FAIL)
+  renderHealth(layout, health, canFail) {
+    const ctx = this.ctx;
+    const { laneAreaX, laneAreaWidth, hitLineY, topY } = layout;
+    const x = laneAreaX + laneAreaWidth + 6;
+    const barH = hitLineY - topY;
+    const color = health > 0.5 ? '#00ff88' : health > 0.25 ? '#FFD700' : '#ff0040';
+
+    ctx.globalAlpha = canFail ? 1 : 0.35;
+    ctx.fillStyle = 'rgba(255,255,255,0.08)';
+    ctx.fillRect(x, topY, 6, barH);
+    ctx.fillStyle = color;
+    if (canFail && health <= 0.25) {
+      ctx.shadowColor = color;
+      ctx.shadowBlur = 6 + Math.sin(this.time * 10) * 4;
+    }
+    ctx.fillRect(x, hitLineY - barH * health, 6, barH * health);
+    ctx.shadowBlur = 0;
+
+    ctx.save();
+    ctx.translate(x + 16, hitLineY);
+    ctx.rotate(-Math.PI / 2);
+    ctx.font = 'bold 8px monospace';
+    ctx.textAlign = 'left';
+    ctx.fillStyle = 'rgba(255,255,255,0.4)';
+    ctx.fillText(canFail ? 'COMPLIANCE' : 'COMPLIANCE · NO FAIL', 0, 0);
+    ctx.restore();
+    ctx.globalAlpha = 1;
   }
 
   renderJudgment(judgment, lane, time, timeDiff = 0) {
@@ -465,7 +614,7 @@ export class Renderer {
 
     // Spawn particles on successful hit
     if (judgment !== Judgment.CHARGEBACK) {
-      const laneColor = LANE_COLORS[lane].main;
+      const laneColor = this.laneColors[lane].main;
       const count = judgment === Judgment.APPROVED ? 18 : 8;
       for (let i = 0; i < count; i++) {
         const angle = (Math.PI * 2 * i) / count - Math.PI / 2;
@@ -559,7 +708,7 @@ export class Renderer {
           vx: Math.cos(angle) * (3 + Math.random() * 5),
           vy: Math.sin(angle) * (3 + Math.random() * 5),
           size: 2 + Math.random() * 4,
-          color: LANE_COLORS[i % 4].main,
+          color: this.laneColors[i % this.laneCount].main,
           alpha: 1,
           life: 1 + Math.random(),
           decay: 0.015,
@@ -707,23 +856,23 @@ export class Renderer {
   }
 
   // Key prompt overlay for desktop
-  renderKeyPrompts(isMobile) {
+  renderKeyPrompts(isMobile, keys) {
     if (isMobile) return;
     const ctx = this.ctx;
     const layout = this.getLayout();
     const { laneAreaX, laneWidth, h } = layout;
-    const keys = ['D', 'F', 'J', 'K'];
 
     ctx.font = 'bold 16px monospace';
     ctx.textAlign = 'center';
 
-    for (let i = 0; i < 4; i++) {
+    for (let i = 0; i < this.laneCount; i++) {
       const x = laneAreaX + i * laneWidth + laneWidth / 2;
       const y = h - 14;
-      ctx.fillStyle = `rgba(${this.hexToRgb(LANE_COLORS[i].main)},0.3)`;
-      this.roundRect(x - 14, y - 14, 28, 22, 4);
+      const boxWidth = Math.max(28, ctx.measureText(keys[i]).width + 12); // SPACE, ENTER...
+      ctx.fillStyle = `rgba(${this.hexToRgb(this.laneColors[i].main)},0.3)`;
+      this.roundRect(x - boxWidth / 2, y - 14, boxWidth, 22, 4);
       ctx.fill();
-      ctx.fillStyle = LANE_COLORS[i].main;
+      ctx.fillStyle = this.laneColors[i].main;
       ctx.fillText(keys[i], x, y);
     }
   }
@@ -0,0 +1,198 @@
+// FINPOP Rhythm Game — Replays
+// Records lane presses/releases on the audio clock and feeds them back for playback
+
+export const REPLAY_VERSION = 1;
+
+// Recent runs kept in localStorage (each is ~2 events per note)
+const MAX_RECENT = 5;
+
+// Event times are stored to 0.1ms; live runs judge the rounded time too, so playback matches exactly
+export const toReplayTime = (t) => Math.round(t * 10000) / 10000;
+
+export class ReplayRecorder {
+  constructor() {
+    this.replay = null;
+  }
+
+  // meta: { songId, title, difficulty, offset, chartHash, mods, canFail }
+  start(meta) {
+    this.replay = {
+      version: REPLAY_VERSION,
+      ...meta,
+      recordedAt: Date.now(),
+      events: [], // [time, lane, 1 = press | 0 = release, velocity (MIDI presses only)]
+    };
+  }
+
+  // Unranked runs (practice, test-play) aren't recorded
+  cancel() {
+    this.replay = null;
+  }
+
+  record(event) {
+    if (!this.replay) return;
+    const entry = [toReplayTime(event.time), event.lane, event.down ? 1 : 0];
+    if (event.velocity !== undefined) entry.push(event.velocity);
+    this.replay.events.push(entry);
+  }
+
+  // Close the recording with the result it produced, for listing and dispute checks
+  finish(stats) {
+    const replay = this.replay;
+    this.replay = null;
+    if (!replay) return null;
+    replay.result = { score: stats.score, grade: stats.grade, approvalRate: stats.approvalRate, maxCombo: stats.maxCombo };
+    if (stats.failed) replay.result.failed = true;
+    return replay;
+  }
+}
+
+export class ReplayPlayer {
+  constructor(replay) {
+    this.replay = replay;
+    this.index = 0;
+  }
+
+  reset() {
+    this.index = 0;
+  }
+
+  // Events with time <= currentTime that haven't been handed out yet
+  poll(currentTime) {
+    const events = [];
+    const list = this.replay.events;
+    while (this.index < list.length && list[this.index][0] <= currentTime) {
+      const [time, lane, down, velocity] = list[this.index++];
+      const event = { time, lane, down: down === 1 };
+      if (velocity !== undefined) event.velocity = velocity;
+      events.push(event);
+    }
+    return events;
+  }
+}
+
+// Whether a re-judged run comes to the result its replay claims, down to the failure flag
+export function reproducesResult(stats, result) {
+  const claimed = result || {};
+  return stats.score === claimed.score && stats.grade === claimed.grade && stats.approvalRate === claimed.approvalRate &&
+    stats.maxCombo === claimed.maxCombo && stats.failed === !!claimed.failed;
+}
+
+const GRADES = ['S', 'A', 'B', 'C', 'D'];
+const MAX_LANE = 6; // 7K
+
+// What's wrong with a replay's shape, or null if nothing — checked before anything plays, verifies or ranks it
+// (server/leaderboard.mjs uses this too)
+export function replayProblem(replay) {
+  if (!replay || typeof replay !== 'object') return 'not a replay';
+  if (replay.version !== REPLAY_VERSION) return `unsupported replay version ${replay.version}`;
+  for (const field of ['songId', 'difficulty', 'chartHash']) {
+    if (typeof replay[field] !== 'string' || !replay[field]) return `replay has no ${field}`;
+  }
+  if (!Number.isFinite(replay.recordedAt)) return 'replay has no recordedAt';
+  if (!Number.isFinite(replay.offset)) return 'replay has no offset';
+  if (!Array.isArray(replay.events) || !replay.events.length) return 'replay has no input';
+  let last = -Infinity;
+  for (const event of replay.events) {
+    const [time, lane, down, velocity] = Array.isArray(event) ? event : [];
+    if (!Number.isFinite(time) || time < last || !Number.isInteger(lane) || lane < 0 || lane > MAX_LANE ||
+        (down !== 0 && down !== 1) || (velocity !== undefined && !Number.isInteger(velocity))) {
+      return 'malformed replay events';
+    }
+    last = time;
+  }
+  const result = replay.result;
+  if (!result || typeof result !== 'object' || !Number.isInteger(result.score) || result.score < 0 || !GRADES.includes(result.grade) ||
+      !Number.isFinite(result.approvalRate) || result.approvalRate < 0 || result.approvalRate > 100 ||
+      !Number.isInteger(result.maxCombo) || result.maxCombo < 0) {
+    return 'replay has no valid result';
+  }
+  return null;
+}
+
+// Rejects anything that isn't a replay this build can play
+export function parseReplay(data) {
+  const problem = replayProblem(data);
+  if (problem) throw new Error(problem);
+  return data;
+}
+
+// --- Storage: the last few runs plus the replay behind each song's best score ---
+export function saveReplay(replay, isBest) {
+  try {
+    const recent = getRecentReplays().filter(r => r.recordedAt !== replay.recordedAt);
+    recent.unshift(replay);
+    localStorage.setItem('finpop_replays', JSON.stringify(recent.slice(0, MAX_RECENT)));
+    if (isBest) localStorage.setItem(`finpop_replay_best_${replay.songId}`, JSON.stringify(replay));
+  } catch (e) { /* localStorage unavailable or full */ }
+}
+
+export function getRecentReplays() {
+  try {
+    return JSON.parse(localStorage.getItem('finpop_replays') || '[]');
+  } catch (e) { return []; }
+}
+
+export function getBestReplay(songId) {
+  try {
+    return JSON.parse(localStorage.getItem(`finpop_replay_best_${songId}`) || 'null');
+  } catch (e) { return null; }
+}
+
+// --- Share links: a replay packed small enough for a URL fragment ---
+// Events become [gap since the last one in 0.1ms, lane * 2 + down (+16 when a velocity follows), velocity?],
+// flattened, then deflated where the browser can. 'z' = deflated, 'j' = plain JSON.
+const VELOCITY_FLAG = 16;
+
+const toBase64Url = (bytes) => {
+  let binary = '';
+  for (const b of bytes) binary += String.fromCharCode(b);
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+const fromBase64Url = (text) => {
+  const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+  return Uint8Array.from(binary, c => c.charCodeAt(0));
+};
+
+const pipe = async (bytes, stream) => new Uint8Array(await new Response(new Blob([bytes]).stream().pipeThrough(stream)).arrayBuffer());
+
+export async function encodeReplay(replay) {
+  const events = [];
+  let last = 0;
+  for (const [time, lane, down, velocity] of replay.events) {
+    const ticks = Math.round(time * 10000);
+    events.push(ticks - last, lane * 2 + down + (velocity !== undefined ? VELOCITY_FLAG : 0));
+    if (velocity !== undefined) events.push(velocity);
+    last = ticks;
+  }
+  const bytes = new TextEncoder().encode(JSON.stringify({ ...replay, events }));
+  if (typeof CompressionStream === 'undefined') return `j${toBase64Url(bytes)}`;
+  return `z${toBase64Url(await pipe(bytes, new CompressionStream('deflate-raw')))}`;
+}
+
+// Throws on anything that doesn't unpack to a playable replay
+export async function decodeReplay(text) {
+  const kind = text[0];
+  let bytes = fromBase64Url(text.slice(1));
+  if (kind === 'z') {
+    if (typeof DecompressionStream === 'undefined') throw new Error('this browser cannot unpack shared replays');
+    bytes = await pipe(bytes, new DecompressionStream('deflate-raw'));
+  } else if (kind !== 'j') {
+    throw new Error('not a shared replay');
+  }
+  const data = JSON.parse(new TextDecoder().decode(bytes));
+  if (!data || !Array.isArray(data.events)) throw new Error('not a shared replay');
+  const flat = data.events;
+  const events = [];
+  let ticks = 0;
+  for (let i = 0; i < flat.length;) {
+    ticks += flat[i++];
+    const code = flat[i++];
+    const event = [ticks / 10000, (code & (VELOCITY_FLAG - 1)) >> 1, code & 1];
+    if (code & VELOCITY_FLAG) event.push(flat[i++]);
+    if (!Number.isFinite(event[0]) || !Number.isInteger(code)) throw new Error('corrupt shared replay');
+    events.push(event);
+  }
+  return parseReplay({ ...data, events });
+}
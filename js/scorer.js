@@ -16,6 +16,24 @@ export const TIMING = {
   MISS: 0.200,       // beyond 200ms = chargeback
 };
 
+// Hold-note release windows — looser than taps, letting go is harder to time
+export const RELEASE_TIMING = {
+  APPROVED: 0.090,
+  PENDING: 0.180,
+  DECLINED: 0.250,   // released earlier than this = hold break
+};
+
+// Points per sustain tick while a hold note is held down
+const HOLD_TICK_VALUE = 20;
+
+// Compliance gauge (0–1): misses drain it, clean settlements refill it
+const HEALTH_CHANGE = {
+  [Judgment.APPROVED]: 0.02,
+  [Judgment.PENDING]: 0,
+  [Judgment.DECLINED]: -0.04,
+  [Judgment.CHARGEBACK]: -0.1,
+};
+
 // Score values
 const SCORE_VALUES = {
   [Judgment.APPROVED]: 300,
@@ -26,6 +44,7 @@ const SCORE_VALUES = {
 
 export class Scorer {
   constructor() {
+    this.canFail = false; // set per run: ranked runs without NO FAIL stop when the gauge empties
     this.reset();
   }
 
@@ -44,6 +63,13 @@ export class Scorer {
     this.recentJudgment = null;
     this.recentJudgmentTime = 0;
     this.volume = 0; // "Transaction volume" display
+    this.holdTicks = 0;
+    this.holdBreaks = 0;
+    this.health = 1;
+    this.failed = false;
+    this.failedAt = null; // song time of the judgment that emptied the gauge
+    this.offsets = []; // every press's timing error in seconds (positive = early)
+    this.timeline = []; // every judgment in order: { time (chart time), judgment, lane, combo, health }
   }
 
   judge(timeDiff) {
@@ -54,9 +80,23 @@ export class Scorer {
     return Judgment.CHARGEBACK;
   }
 
-  addHit(judgment, currentTime) {
+  // timeDiff = hold end time - release time (positive = released early).
+  // Releases earlier than the DECLINED window are hold breaks, never judged here.
+  judgeRelease(timeDiff) {
+    const abs = Math.abs(timeDiff);
+    if (abs <= RELEASE_TIMING.APPROVED) return Judgment.APPROVED;
+    if (abs <= RELEASE_TIMING.PENDING) return Judgment.PENDING;
+    return Judgment.DECLINED;
+  }
+
+  // detail: { lane, noteTime } of the judged note, plus offset — the timing error — for presses
+  addHit(judgment, currentTime, detail = {}) {
+    // A failed run is frozen at the judgment that failed it, whatever else lands that frame
+    if (this.failed) return { judgment, points: 0, combo: this.combo, multiplier: this.multiplier };
+
     this.counts[judgment]++;
     this.totalNotes++;
+    if (detail.offset !== undefined) this.offsets.push(detail.offset);
 
     if (judgment === Judgment.CHARGEBACK) {
       this.combo = 0;
@@ -82,9 +122,39 @@ export class Scorer {
     this.recentJudgment = judgment;
     this.recentJudgmentTime = currentTime;
 
+    this.health = Math.max(0, Math.min(1, this.health + HEALTH_CHANGE[judgment]));
+    if (this.canFail && this.health <= 0) {
+      this.failed = true;
+      this.failedAt = currentTime;
+    }
+
+    this.timeline.push({
+      time: detail.noteTime !== undefined ? detail.noteTime : currentTime,
+      judgment,
+      lane: detail.lane,
+      combo: this.combo,
+      health: this.health,
+    });
+
     return { judgment, points, combo: this.combo, multiplier: this.multiplier };
   }
 
+  // Sustain ticks score on their own: no judgment count, no combo change
+  addHoldTick() {
+    if (this.failed) return 0;
+    this.holdTicks++;
+    const points = HOLD_TICK_VALUE * this.multiplier;
+    this.score += points;
+    this.volume = this.score * 100;
+    return points;
+  }
+
+  // Letting go of a hold too early — counts as a missed release
+  addHoldBreak(currentTime, detail = {}) {
+    if (!this.failed) this.holdBreaks++;
+    return this.addHit(Judgment.CHARGEBACK, currentTime, detail);
+  }
+
   getGrade() {
     if (this.totalNotes === 0) return 'D';
     const approvedRate = this.counts[Judgment.APPROVED] / this.totalNotes;
@@ -120,6 +190,24 @@ export class Scorer {
     return { level: 'LOW', color: '#00ff88' };
   }
 
+  // Spread of press timing: mean/deviation in seconds, unstable rate = 10 × deviation in ms
+  getTimingStats() {
+    const offsets = this.offsets;
+    if (offsets.length === 0) return null;
+    const mean = offsets.reduce((sum, o) => sum + o, 0) / offsets.length;
+    const variance = offsets.reduce((sum, o) => sum + (o - mean) ** 2, 0) / offsets.length;
+    const stdDev = Math.sqrt(variance);
+    return {
+      count: offsets.length,
+      mean,
+      stdDev,
+      unstableRate: stdDev * 10000,
+      early: offsets.filter(o => o > 0).length,
+      late: offsets.filter(o => o < 0).length,
+      offsets: [...offsets],
+    };
+  }
+
   getStats() {
     return {
       score: this.score,
@@ -130,6 +218,12 @@ export class Scorer {
       riskLevel: this.getRiskLevel(),
       counts: { ...this.counts },
       totalNotes: this.totalNotes,
+      holdTicks: this.holdTicks,
+      holdBreaks: this.holdBreaks,
+      failed: this.failed,
+      failedAt: this.failedAt,
+      timing: this.getTimingStats(),
+      timeline: [...this.timeline],
     };
   }
 }
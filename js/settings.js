@@ -0,0 +1,230 @@
+// FINPOP Rhythm Game — Settings
+// Player preferences: lane bindings (keys, gamepad, MIDI), volume, scroll speed and hit-line position
+
+import { LANE_COUNTS } from './beatmap.js';
+
+// Bindings are kept per lane count (4K–7K), each with two keys per lane:
+// a primary (shown in key prompts) and an alternative
+export const DEFAULT_BINDINGS = {
+  4: [['d', 'ArrowLeft'], ['f', 'ArrowDown'], ['j', 'ArrowUp'], ['k', 'ArrowRight']],
+  5: [['d', null], ['f', null], [' ', null], ['j', null], ['k', null]],
+  6: [['s', null], ['d', null], ['f', null], ['j', null], ['k', null], ['l', null]],
+  7: [['s', null], ['d', null], ['f', null], [' ', null], ['j', null], ['k', null], ['l', null]],
+};
+
+// Standard-mapping gamepad buttons (https://w3c.github.io/gamepad/#remapping)
+export const PAD = {
+  A: 0, B: 1, X: 2, Y: 3, LB: 4, RB: 5, LT: 6, RT: 7,
+  BACK: 8, START: 9, LS: 10, RS: 11, UP: 12, DOWN: 13, LEFT: 14, RIGHT: 15,
+};
+
+// Left hand on the d-pad/left shoulder, right hand on the face buttons/right shoulder
+export const DEFAULT_PAD_BINDINGS = {
+  4: [[PAD.LEFT, PAD.LB], [PAD.DOWN, PAD.LT], [PAD.A, PAD.RT], [PAD.B, PAD.RB]],
+  5: [[PAD.LEFT, null], [PAD.DOWN, null], [PAD.LB, PAD.RB], [PAD.A, null], [PAD.B, null]],
+  6: [[PAD.LEFT, null], [PAD.DOWN, null], [PAD.LB, null], [PAD.RB, null], [PAD.A, null], [PAD.B, null]],
+  7: [[PAD.LEFT, null], [PAD.DOWN, null], [PAD.LB, null], [PAD.LT, PAD.RT], [PAD.RB, null], [PAD.A, null], [PAD.B, null]],
+};
+
+// General MIDI drum notes: kick, snares, hi-hats, toms, cymbals. Learn mode replaces these.
+export const DEFAULT_MIDI_NOTES = {
+  4: [[36], [38, 40], [42, 44, 46], [49, 51]],
+  5: [[36], [38, 40], [42, 44, 46], [45, 47, 48, 50], [49, 51]],
+  6: [[36], [38, 40], [42, 44, 46], [48, 50], [41, 43, 45, 47], [49, 51]],
+  7: [[36], [38, 40], [42, 44, 46], [48, 50], [45, 47], [41, 43], [49, 51]],
+};
+
+const copyLayouts = (layouts) => Object.fromEntries(LANE_COUNTS.map(n => [n, layouts[n].map(l => [...l])]));
+
+// Ranges for the sliders (and for validating whatever is in localStorage)
+export const SETTING_LIMITS = {
+  musicVolume: [0, 1],
+  sfxVolume: [0, 1],
+  scrollSpeed: [0.5, 2],
+  hitLine: [0.7, 0.9], // fraction of screen height
+};
+
+const DEFAULTS = {
+  musicVolume: 1,
+  sfxVolume: 1,
+  scrollSpeed: 1,
+  hitLine: 0.85,
+};
+
+// Escape / Start always pause, so they can't be lanes
+const RESERVED_KEYS = ['Escape'];
+const RESERVED_BUTTONS = [PAD.START];
+
+const KEY_LABELS = {
+  ArrowLeft: '←', ArrowDown: '↓', ArrowUp: '↑', ArrowRight: '→',
+  ' ': 'SPACE', Enter: 'ENTER', Shift: 'SHIFT', Control: 'CTRL', Alt: 'ALT',
+  Backspace: 'BKSP', Tab: 'TAB', CapsLock: 'CAPS',
+};
+
+const PAD_LABELS = {
+  [PAD.A]: 'A', [PAD.B]: 'B', [PAD.X]: 'X', [PAD.Y]: 'Y',
+  [PAD.LB]: 'LB', [PAD.RB]: 'RB', [PAD.LT]: 'LT', [PAD.RT]: 'RT',
+  [PAD.BACK]: 'BACK', [PAD.START]: 'START', [PAD.LS]: 'LS', [PAD.RS]: 'RS',
+  [PAD.UP]: '↑', [PAD.DOWN]: '↓', [PAD.LEFT]: '←', [PAD.RIGHT]: '→',
+};
+
+const NOTE_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+
+// MIDI note number as a name, middle C (60) = C4
+export const midiLabel = (note) => note === undefined ? '—' : `${NOTE_NAMES[note % 12]}${Math.floor(note / 12) - 1}`;
+
+export const padLabel = (button) => button === null || button === undefined ? '—' : PAD_LABELS[button] || `B${button}`;
+
+// Letters bind case-insensitively (Shift shouldn't change the lane)
+export const normalizeKey = (key) => key.length === 1 ? key.toLowerCase() : key;
+
+export const keyLabel = (key) => key ? KEY_LABELS[key] || key.toUpperCase() : '—';
+
+export class Settings {
+  constructor() {
+    this.laneCount = 4; // which layout bindings/padBindings/midiNotes refer to
+    this.reset();
+  }
+
+  // The active lane count's layouts
+  get bindings() { return this.keyLayouts[this.laneCount]; }
+  set bindings(value) { this.keyLayouts[this.laneCount] = value; }
+  get padBindings() { return this.padLayouts[this.laneCount]; }
+  set padBindings(value) { this.padLayouts[this.laneCount] = value; }
+  get midiNotes() { return this.midiLayouts[this.laneCount]; }
+  set midiNotes(value) { this.midiLayouts[this.laneCount] = value; }
+
+  reset() {
+    this.keyLayouts = copyLayouts(DEFAULT_BINDINGS);
+    this.padLayouts = copyLayouts(DEFAULT_PAD_BINDINGS);
+    this.midiLayouts = copyLayouts(DEFAULT_MIDI_NOTES);
+    this.midiEnabled = false; // asked for MIDI access before, so it's requested again on load
+    Object.assign(this, DEFAULTS);
+  }
+
+  load() {
+    try {
+      const saved = JSON.parse(localStorage.getItem('finpop_settings') || 'null');
+      if (saved) this.apply(saved);
+    } catch (e) { /* localStorage unavailable or corrupt — keep defaults */ }
+  }
+
+  save() {
+    try {
+      localStorage.setItem('finpop_settings', JSON.stringify({
+        bindings: this.keyLayouts,
+        padBindings: this.padLayouts,
+        midiNotes: this.midiLayouts,
+        midiEnabled: this.midiEnabled,
+        musicVolume: this.musicVolume,
+        sfxVolume: this.sfxVolume,
+        scrollSpeed: this.scrollSpeed,
+        hitLine: this.hitLine,
+      }));
+    } catch (e) { /* localStorage unavailable */ }
+  }
+
+  // Take whatever valid values `data` has, ignoring the rest
+  apply(data) {
+    for (const [name, [min, max]] of Object.entries(SETTING_LIMITS)) {
+      const v = data[name];
+      if (typeof v === 'number' && isFinite(v)) this[name] = Math.max(min, Math.min(max, v));
+    }
+    // Layouts are saved per lane count; a bare array is an older save's 4K layout
+    const layoutsOf = (value) => Array.isArray(value) ? { 4: value } : value && typeof value === 'object' ? value : {};
+    const keyLayouts = layoutsOf(data.bindings);
+    const padLayouts = layoutsOf(data.padBindings);
+    const midiLayouts = layoutsOf(data.midiNotes);
+    for (const count of LANE_COUNTS) {
+      const bindings = keyLayouts[count];
+      if (Array.isArray(bindings) && bindings.length === count) {
+        const keys = bindings.flat().filter(Boolean);
+        const valid = bindings.every(b => Array.isArray(b) && b.length === 2 && (b[0] || b[1])) &&
+          new Set(keys).size === keys.length;
+        if (valid) this.keyLayouts[count] = bindings.map(b => b.map(k => k ? normalizeKey(k) : null));
+      }
+      const padBindings = padLayouts[count];
+      if (Array.isArray(padBindings) && padBindings.length === count) {
+        const isButton = (b) => b === null || (Number.isInteger(b) && b >= 0);
+        const buttons = padBindings.flat().filter(b => b !== null);
+        const valid = padBindings.every(b => Array.isArray(b) && b.length === 2 && b.every(isButton) && (b[0] !== null || b[1] !== null)) &&
+          new Set(buttons).size === buttons.length;
+        if (valid) this.padLayouts[count] = padBindings.map(b => [...b]);
+      }
+      const midiNotes = midiLayouts[count];
+      if (Array.isArray(midiNotes) && midiNotes.length === count) {
+        const isNote = (n) => Number.isInteger(n) && n >= 0 && n <= 127;
+        const notes = midiNotes.flat();
+        const valid = midiNotes.every(n => Array.isArray(n) && n.every(isNote)) && new Set(notes).size === notes.length;
+        if (valid) this.midiLayouts[count] = midiNotes.map(n => [...n]);
+      }
+    }
+    if (typeof data.midiEnabled === 'boolean') this.midiEnabled = data.midiEnabled;
+  }
+
+  set(name, value) {
+    if (!SETTING_LIMITS[name]) return;
+    const [min, max] = SETTING_LIMITS[name];
+    this[name] = Math.max(min, Math.min(max, value));
+    this.save();
+  }
+
+  // Lane and slot currently bound to `key` (or gamepad button), or null
+  findBinding(key, pad = false) {
+    const table = pad ? this.padBindings : this.bindings;
+    if (!pad) key = normalizeKey(key);
+    for (let lane = 0; lane < table.length; lane++) {
+      const slot = table[lane].indexOf(key);
+      if (slot >= 0) return { lane, slot };
+    }
+    return null;
+  }
+
+  // Bind a key (or with pad = true, a gamepad button index) to a lane slot.
+  // Returns { ok: true } or { ok: false, reason: 'reserved' | 'conflict', lane }
+  bind(lane, slot, key, pad = false) {
+    if (!pad) key = normalizeKey(key);
+    if ((pad ? RESERVED_BUTTONS : RESERVED_KEYS).includes(key)) return { ok: false, reason: 'reserved' };
+    const existing = this.findBinding(key, pad);
+    if (existing && !(existing.lane === lane && existing.slot === slot)) {
+      return { ok: false, reason: 'conflict', lane: existing.lane };
+    }
+    (pad ? this.padBindings : this.bindings)[lane][slot] = key;
+    this.save();
+    return { ok: true };
+  }
+
+  // Label for a lane's key prompt: its primary key, else the alternative
+  laneLabel(lane) {
+    const [primary, alt] = this.bindings[lane];
+    return keyLabel(primary || alt);
+  }
+
+  // Gamepad equivalent of laneLabel
+  lanePadLabel(lane) {
+    const [primary, alt] = this.padBindings[lane];
+    return padLabel(primary !== null ? primary : alt);
+  }
+
+  laneMidiLabel(lane) {
+    return midiLabel(this.midiNotes[lane][0]);
+  }
+
+  // Learn mode: `note` becomes this lane's only MIDI note, taken from any lane that had it
+  learnMidiNote(lane, note) {
+    this.midiNotes = this.midiNotes.map(notes => notes.filter(n => n !== note));
+    this.midiNotes[lane] = [note];
+    this.midiEnabled = true;
+    this.save();
+  }
+
+  unbind(lane, slot, pad = false) {
+    // Every lane keeps at least one key (and one button)
+    const table = pad ? this.padBindings : this.bindings;
+    const other = table[lane][1 - slot];
+    if (other === null || other === undefined) return false;
+    table[lane][slot] = null;
+    this.save();
+    return true;
+  }
+}
@@ -0,0 +1,129 @@
+// FINPOP Rhythm Game — Song Library
+// Loads the track manifest and keeps per-song best scores
+
+import { hashBytes } from './random.js';
+
+// Used when the manifest can't be fetched, so the original single-track build still runs
+const FALLBACK_SONGS = [
+  {
+    id: 'payments_on_lock',
+    title: 'Payments on Lock',
+    artist: 'FINPOP',
+    bpm: 134,
+    audio: 'assets/audio/payments-on-lock.mp3',
+    beatmap: 'assets/beatmaps/payments_on_lock.json',
+    jacket: 'assets/images/CEO.png',
+    preview: { start: 44.8, duration: 15 },
+  },
+];
+
+// Pre-library builds stored a single best under this key (Payments on Lock only)
+const LEGACY_BEST_KEY = 'finpop_best';
+const LEGACY_SONG_ID = 'payments_on_lock';
+
+export class SongLibrary {
+  constructor() {
+    this.songs = [];
+    this.selectedIndex = 0;
+  }
+
+  async load(url) {
+    try {
+      const response = await fetch(url);
+      const data = await response.json();
+      this.songs = (data.songs || []).map(s => this.normalize(s));
+      if (this.songs.length === 0) throw new Error('empty manifest');
+    } catch (e) {
+      console.warn('Song manifest load failed, using built-in track:', e.message);
+      this.songs = FALLBACK_SONGS.map(s => this.normalize(s));
+    }
+
+    const lastId = localStorage.getItem('finpop_song');
+    const lastIndex = this.songs.findIndex(s => s.id === lastId);
+    this.selectedIndex = lastIndex >= 0 ? lastIndex : 0;
+    return this.songs;
+  }
+
+  normalize(song) {
+    return {
+      id: song.id,
+      title: song.title || song.id,
+      artist: song.artist || 'FINPOP',
+      bpm: song.bpm || 0,
+      audio: song.audio,
+      beatmap: song.beatmap,
+      jacket: song.jacket || null,
+      local: !!song.local, // player's own file: audio lives in memory, chart is generated
+      preview: {
+        start: (song.preview && song.preview.start) || 0,
+        duration: (song.preview && song.preview.duration) || 15,
+      },
+    };
+  }
+
+  get selected() {
+    return this.songs[this.selectedIndex] || null;
+  }
+
+  select(index) {
+    if (this.songs.length === 0) return null;
+    this.selectedIndex = (index + this.songs.length) % this.songs.length;
+    // Local files are gone on reload, so only remember built-in tracks
+    if (!this.selected.local) {
+      try { localStorage.setItem('finpop_song', this.selected.id); } catch (e) { /* localStorage unavailable */ }
+    }
+    return this.selected;
+  }
+
+  // --- Local files ---
+  // Identified by content hash, so results follow the audio rather than the filename
+  identifyLocal(arrayBuffer) {
+    return `local_${fileHash(arrayBuffer)}`;
+  }
+
+  findSong(id) {
+    return this.songs.findIndex(s => s.id === id);
+  }
+
+  addLocal(id, fileName, duration) {
+    const title = fileName.replace(/\.[^.]+$/, '') || 'Local Track';
+    this.songs.push(this.normalize({
+      id,
+      title,
+      artist: 'LOCAL FILE',
+      audio: `local:${id}`,
+      beatmap: null,
+      local: true,
+      preview: { start: Math.max(0, duration * 0.3), duration: 15 },
+    }));
+    return this.songs.length - 1;
+  }
+
+  // --- Per-song best scores ---
+  getBest(songId) {
+    try {
+      const best = JSON.parse(localStorage.getItem(`finpop_best_${songId}`) || 'null');
+      if (best) return best;
+      if (songId === LEGACY_SONG_ID) {
+        return JSON.parse(localStorage.getItem(LEGACY_BEST_KEY) || 'null');
+      }
+    } catch (e) { /* localStorage unavailable */ }
+    return null;
+  }
+
+  saveBest(songId, record) {
+    const prev = this.getBest(songId);
+    if (prev && prev.score && record.score <= prev.score) return false;
+    try {
+      localStorage.setItem(`finpop_best_${songId}`, JSON.stringify(record));
+      return true;
+    } catch (e) { return false; }
+  }
+}
+
+// FNV-1a plus the length, the same wherever the game runs (SubtleCrypto only exists in
+// secure contexts, so a file opened from file:// and over https would otherwise get two ids)
+function fileHash(arrayBuffer) {
+  const bytes = new Uint8Array(arrayBuffer);
+  return hashBytes(bytes).toString(16).padStart(8, '0') + bytes.length.toString(16).padStart(8, '0');
+}
@@ -0,0 +1,134 @@
+// FINPOP Rhythm Game — Timing Map
+// BPM / meter changes and scroll-velocity sections for a chart
+
+export class TimingMap {
+  // points: [{ time, bpm, meter }], scroll: [{ time, speed }] — times in chart seconds
+  constructor(points = [], scroll = [], fallbackBpm = 120) {
+    this.points = points
+      .filter(p => p.bpm > 0)
+      .map(p => ({ time: p.time || 0, bpm: p.bpm, meter: p.meter || 4 }))
+      .sort((a, b) => a.time - b.time);
+    if (this.points.length === 0) {
+      this.points.push({ time: 0, bpm: fallbackBpm, meter: 4 });
+    }
+
+    // Precompute the integrated scroll position at the start of each SV section
+    this.scroll = scroll
+      .filter(s => s.speed > 0)
+      .map(s => ({ time: s.time || 0, speed: s.speed }))
+      .sort((a, b) => a.time - b.time);
+    let pos = 0;
+    let prevTime = 0;
+    let prevSpeed = 1;
+    for (const sv of this.scroll) {
+      pos += (sv.time - prevTime) * prevSpeed;
+      sv.pos = pos;
+      prevTime = sv.time;
+      prevSpeed = sv.speed;
+    }
+
+    // Calibration offset — notes are shifted by it, so the grid has to be too
+    this.offset = 0;
+  }
+
+  // Timing point active at time t (the first one also extends backwards)
+  pointAt(t) {
+    const local = t - this.offset;
+    let active = this.points[0];
+    for (const p of this.points) {
+      if (p.time <= local) active = p;
+      else break;
+    }
+    return active;
+  }
+
+  get initialBpm() {
+    return this.points[0].bpm;
+  }
+
+  beatDuration(t) {
+    return 60 / this.pointAt(t).bpm;
+  }
+
+  // 0 at each beat, rising to 1 just before the next
+  beatPhase(t) {
+    const p = this.pointAt(t);
+    const beat = 60 / p.bpm;
+    const rel = (t - this.offset - p.time) / beat;
+    return rel - Math.floor(rel);
+  }
+
+  // Bar-line times in [from, to], restarting the bar count at every timing point
+  getBarLines(from, to) {
+    return this.getBeatLines(from, to, 1).filter(l => l.kind === 'bar').map(l => l.time);
+  }
+
+  // Grid lines in [from, to] at 1/divisor of a beat: { time, kind: 'bar' | 'beat' | 'sub' }
+  getBeatLines(from, to, divisor = 1) {
+    const lines = [];
+    for (let i = 0; i < this.points.length; i++) {
+      const p = this.points[i];
+      const step = 60 / p.bpm / divisor;
+      const perBar = divisor * p.meter;
+      const segStart = i === 0 ? -Infinity : p.time + this.offset;
+      const segEnd = i + 1 < this.points.length ? this.points[i + 1].time + this.offset : Infinity;
+      const lo = Math.max(from, segStart);
+      const hi = Math.min(to, segEnd);
+      if (lo > hi) continue;
+
+      const origin = p.time + this.offset;
+      for (let k = Math.ceil((lo - origin) / step - 1e-6); origin + k * step <= hi; k++) {
+        const time = origin + k * step;
+        if (time >= segEnd) break;
+        const kind = ((k % perBar) + perBar) % perBar === 0 ? 'bar'
+                   : ((k % divisor) + divisor) % divisor === 0 ? 'beat'
+                   : 'sub';
+        lines.push({ time, kind });
+      }
+    }
+    return lines;
+  }
+
+  // Nearest grid time to t at 1/divisor of a beat
+  snap(t, divisor = 1) {
+    const p = this.pointAt(t);
+    const step = 60 / p.bpm / divisor;
+    const origin = p.time + this.offset;
+    return origin + Math.round((t - origin) / step) * step;
+  }
+
+  // Chart time (without calibration offset) at which bar number `bar` starts.
+  // Bars count continuously across timing points, each at its own tempo and meter.
+  barToTime(bar) {
+    let barsSoFar = 0;
+    for (let i = 0; i < this.points.length; i++) {
+      const p = this.points[i];
+      const barLen = (60 / p.bpm) * p.meter;
+      const next = this.points[i + 1];
+      const segBars = next ? (next.time - p.time) / barLen : Infinity;
+      if (bar < barsSoFar + segBars) {
+        return p.time + (bar - barsSoFar) * barLen;
+      }
+      barsSoFar += segBars;
+    }
+    return 0; // unreachable: the last segment is unbounded
+  }
+
+  // Integrated scroll position: seconds of travel at 1x speed
+  position(t) {
+    const local = t - this.offset;
+    let active = null;
+    for (const sv of this.scroll) {
+      if (sv.time <= local) active = sv;
+      else break;
+    }
+    if (!active) return local;
+    return active.pos + (local - active.time) * active.speed;
+  }
+
+  // How far (in 1x seconds) a note at `time` still has to travel at `currentTime`
+  scrollDistance(currentTime, time) {
+    if (this.scroll.length === 0) return time - currentTime;
+    return this.position(time) - this.position(currentTime);
+  }
+}
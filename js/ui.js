@@ -1,7 +1,51 @@
 // FINPOP Rhythm Game — UI Manager
-// Manages HTML overlay screens: Title, Results, Share, Pause, Calibration
+// Manages HTML overlay screens: Title, Song Select, Practice, Settings, Profile, Achievements, Results, Share, Pause, Calibration
 
-import { LANE_COLORS } from './renderer.js';
+import { laneColors, JUDGMENT_COLORS } from './renderer.js';
+import { Judgment, TIMING } from './scorer.js';
+import { describeModifiers } from './modifiers.js';
+import { keyLabel, padLabel, midiLabel } from './settings.js';
+import { encodeReplay } from './replay.js';
+
+// Longest packed replay a share link carries; past this the link only claims a score
+const MAX_SHARED_REPLAY = 16000;
+
+// Slider value shown next to each setting
+const SETTING_FORMATS = {
+  musicVolume: v => `${Math.round(v * 100)}%`,
+  sfxVolume: v => `${Math.round(v * 100)}%`,
+  scrollSpeed: v => `${v.toFixed(1)}x`,
+  hitLine: v => `${Math.round(v * 100)}%`,
+};
+
+// <table class="results-table">; rows are { cells, color (first cell), className }
+function buildTable(headers, rows) {
+  const table = document.createElement('table');
+  table.className = 'results-table';
+  const head = document.createElement('tr');
+  for (const label of headers) {
+    const th = document.createElement('th');
+    th.textContent = label;
+    head.appendChild(th);
+  }
+  const thead = document.createElement('thead');
+  thead.appendChild(head);
+  table.appendChild(thead);
+  const body = document.createElement('tbody');
+  for (const { cells, color, className } of rows) {
+    const tr = document.createElement('tr');
+    if (className) tr.className = className;
+    for (const value of cells) {
+      const td = document.createElement('td');
+      td.textContent = value;
+      tr.appendChild(td);
+    }
+    if (color) tr.firstChild.style.color = color;
+    body.appendChild(tr);
+  }
+  table.appendChild(body);
+  return table;
+}
 
 export class UI {
   constructor() {
@@ -10,6 +54,12 @@ export class UI {
     this.loadingScreen = null;
     this.pauseScreen = null;
     this.calibrationScreen = null;
+    this.songSelectScreen = null;
+    this.practiceScreen = null;
+    this.settingsScreen = null;
+    this.profileScreen = null;
+    this.achievementsScreen = null;
+    this.dailyScreen = null;
   }
 
   init() {
@@ -18,6 +68,12 @@ export class UI {
     this.loadingScreen = document.getElementById('loading-screen');
     this.pauseScreen = document.getElementById('pause-screen');
     this.calibrationScreen = document.getElementById('calibration-screen');
+    this.songSelectScreen = document.getElementById('song-select-screen');
+    this.practiceScreen = document.getElementById('practice-screen');
+    this.settingsScreen = document.getElementById('settings-screen');
+    this.profileScreen = document.getElementById('profile-screen');
+    this.achievementsScreen = document.getElementById('achievements-screen');
+    this.dailyScreen = document.getElementById('daily-screen');
   }
 
   showLoading(progress = 0, message = 'Loading...') {
@@ -36,6 +92,7 @@ export class UI {
 
   showTitle() {
     if (this.titleScreen) this.titleScreen.classList.add('active');
+    this.clearFocus(this.titleScreen);
     this.hideResults();
   }
 
@@ -45,12 +102,38 @@ export class UI {
 
   showPause() {
     if (this.pauseScreen) this.pauseScreen.classList.add('active');
+    this.clearFocus(this.pauseScreen);
   }
 
   hidePause() {
     if (this.pauseScreen) this.pauseScreen.classList.remove('active');
   }
 
+  // --- Gamepad navigation of overlay buttons ---
+  // Move focus through the visible buttons of an overlay (wrapping)
+  moveFocus(screen, delta) {
+    if (!screen) return;
+    const buttons = [...screen.querySelectorAll('button')].filter(b => b.offsetParent !== null && !b.disabled);
+    if (buttons.length === 0) return;
+    const current = buttons.indexOf(document.activeElement);
+    const next = current < 0 ? (delta > 0 ? 0 : buttons.length - 1) : (current + delta + buttons.length) % buttons.length;
+    buttons[next].focus({ focusVisible: true });
+  }
+
+  // Drop focus left on an overlay's button from the last time it was shown
+  clearFocus(screen) {
+    const el = document.activeElement;
+    if (screen && el && screen.contains(el)) el.blur();
+  }
+
+  // Click the overlay's focused button; false when nothing in it has focus
+  clickFocused(screen) {
+    const el = document.activeElement;
+    if (!screen || !el || el.tagName !== 'BUTTON' || !screen.contains(el)) return false;
+    el.click();
+    return true;
+  }
+
   showCalibration() {
     if (this.calibrationScreen) this.calibrationScreen.classList.add('active');
   }
@@ -59,31 +142,531 @@ export class UI {
     if (this.calibrationScreen) this.calibrationScreen.classList.remove('active');
   }
 
-  showBestScore() {
+  showBestScore(best) {
     const el = document.getElementById('title-best');
     if (!el) return;
-    try {
-      const best = JSON.parse(localStorage.getItem('finpop_best') || 'null');
-      if (best && best.score) {
-        el.textContent = `BEST: Grade ${best.grade} | ${best.score.toLocaleString()} | ${best.difficulty || 'NORMAL'}`;
-        el.style.display = 'block';
-      } else {
-        el.style.display = 'none';
-      }
-    } catch {
+    if (best && best.score) {
+      const mods = best.modifiers && best.modifiers.length ? ` | ${best.modifiers.join(' ')}` : '';
+      el.textContent = `BEST: Grade ${best.grade} | ${best.score.toLocaleString()} | ${best.difficulty || 'NORMAL'}${mods}`;
+      el.style.display = 'block';
+    } else {
       el.style.display = 'none';
     }
   }
 
-  showResults(stats) {
+  // --- Difficulty selector ---
+  renderDifficulties(charts, active) {
+    const bar = document.querySelector('.title-difficulty');
+    if (!bar) return;
+    bar.innerHTML = '';
+    for (const chart of charts) {
+      const btn = document.createElement('button');
+      btn.className = 'diff-btn';
+      btn.dataset.diff = chart.name;
+      btn.textContent = chart.name;
+      if (chart.level) {
+        const lvl = document.createElement('span');
+        lvl.className = 'diff-level';
+        lvl.textContent = chart.level;
+        btn.appendChild(lvl);
+      }
+      if (chart.lanes !== 4) {
+        const lanes = document.createElement('span');
+        lanes.className = 'diff-level';
+        lanes.textContent = `${chart.lanes}K`;
+        btn.appendChild(lanes);
+      }
+      bar.appendChild(btn);
+    }
+    this.highlightDifficulty(charts.find(c => c.name === active));
+  }
+
+  highlightDifficulty(chart) {
+    document.querySelectorAll('.title-difficulty .diff-btn').forEach(b => {
+      b.classList.toggle('active', !!chart && b.dataset.diff === chart.name);
+    });
+    const credit = document.getElementById('title-charter');
+    if (!credit) return;
+    if (chart && chart.authored && chart.charter) {
+      credit.textContent = `Chart by ${chart.charter}`;
+    } else if (chart && chart.generated) {
+      credit.textContent = 'Chart generated from audio';
+    } else if (chart && !chart.authored) {
+      credit.textContent = 'Auto-derived chart';
+    } else {
+      credit.textContent = '';
+    }
+  }
+
+  // --- Modifier panels (title and song select share the same state) ---
+  renderModifiers(mods, speed) {
+    const labels = { mirror: 'MIRROR', random: mods.random ? `RANDOM #${mods.seed}` : 'RANDOM', hidden: 'HIDDEN', sudden: 'SUDDEN', nofail: 'NO FAIL' };
+    document.querySelectorAll('.mods-panel').forEach(panel => {
+      panel.innerHTML = '';
+      for (const [name, label] of Object.entries(labels)) {
+        const btn = document.createElement('button');
+        btn.className = 'mod-btn';
+        btn.classList.toggle('active', mods[name]);
+        btn.dataset.mod = name;
+        btn.textContent = label;
+        panel.appendChild(btn);
+      }
+      const speedEl = document.createElement('span');
+      speedEl.className = 'mod-speed';
+      for (const [step, text] of [[-1, '−'], [null, `SPEED ${speed.toFixed(1)}x`], [1, '+']]) {
+        if (step === null) {
+          speedEl.appendChild(document.createTextNode(text));
+          continue;
+        }
+        const btn = document.createElement('button');
+        btn.className = 'mod-btn';
+        btn.dataset.speed = step;
+        btn.textContent = text;
+        speedEl.appendChild(btn);
+      }
+      panel.appendChild(speedEl);
+    });
+  }
+
+  // Drop hint under the title links; swapped for a notice when a file or replay can't be played
+  showTitleNotice(message) {
+    const el = document.getElementById('title-local');
+    if (!el) return;
+    if (!el.dataset.hint) el.dataset.hint = el.textContent;
+    el.textContent = message || el.dataset.hint;
+    el.classList.toggle('error', !!message);
+  }
+
+  // --- Song select ---
+  showSongSelect(songs, selectedIndex, getBest) {
+    if (!this.songSelectScreen) return;
+    const list = this.songSelectScreen.querySelector('#song-list');
+    if (list) {
+      list.innerHTML = '';
+      songs.forEach((song, i) => {
+        const card = document.createElement('div');
+        card.className = 'song-card';
+        card.dataset.index = i;
+
+        const jacket = document.createElement('div');
+        jacket.className = 'song-jacket';
+        if (song.jacket) {
+          jacket.style.backgroundImage = `url("${song.jacket}")`;
+        } else {
+          jacket.textContent = song.title.charAt(0).toUpperCase();
+        }
+
+        const info = document.createElement('div');
+        info.className = 'song-info';
+        const title = document.createElement('div');
+        title.className = 'song-title';
+        title.textContent = song.title;
+        const meta = document.createElement('div');
+        meta.className = 'song-meta';
+        meta.textContent = song.bpm ? `${song.artist} · ${song.bpm} BPM` : song.artist;
+        const bestEl = document.createElement('div');
+        bestEl.className = 'song-best';
+        const best = getBest(song.id);
+        bestEl.textContent = best && best.score
+          ? `BEST: ${best.grade} | ${best.score.toLocaleString()} | ${best.difficulty || 'NORMAL'}`
+          : 'NO SETTLEMENTS YET';
+        info.append(title, meta, bestEl);
+
+        card.append(jacket, info);
+        list.appendChild(card);
+      });
+    }
+    this.highlightSong(selectedIndex);
+    this.songSelectScreen.classList.add('active');
+  }
+
+  highlightSong(index) {
+    if (!this.songSelectScreen) return;
+    this.songSelectScreen.querySelectorAll('.song-card').forEach(card => {
+      const active = parseInt(card.dataset.index) === index;
+      card.classList.toggle('active', active);
+      if (active) card.scrollIntoView({ block: 'nearest' });
+    });
+  }
+
+  hideSongSelect() {
+    if (this.songSelectScreen) this.songSelectScreen.classList.remove('active');
+  }
+
+  // --- Practice setup ---
+  showPractice(sections, duration, prev, minRate, maxRate) {
+    if (!this.practiceScreen) return;
+    const inputA = this.practiceScreen.querySelector('#practice-a');
+    const inputB = this.practiceScreen.querySelector('#practice-b');
+    const rateInput = this.practiceScreen.querySelector('#practice-rate');
+    const rateLabel = this.practiceScreen.querySelector('#practice-rate-label');
+    const list = this.practiceScreen.querySelector('#practice-sections');
+
+    const setRange = (start, end) => {
+      if (inputA) inputA.value = start.toFixed(1);
+      if (inputB) inputB.value = end.toFixed(1);
+      if (list) list.querySelectorAll('.practice-section').forEach(b => {
+        b.classList.toggle('active', parseFloat(b.dataset.start) === start && parseFloat(b.dataset.end) === end);
+      });
+    };
+
+    if (list) {
+      list.innerHTML = '';
+      const entries = [{ name: 'FULL SONG', start: 0, end: duration }, ...sections];
+      for (const sec of entries) {
+        const btn = document.createElement('button');
+        btn.className = 'diff-btn practice-section';
+        btn.textContent = sec.name;
+        btn.dataset.start = sec.start;
+        btn.dataset.end = sec.end;
+        btn.addEventListener('click', () => setRange(sec.start, sec.end));
+        list.appendChild(btn);
+      }
+    }
+
+    if (inputA) inputA.max = duration;
+    if (inputB) inputB.max = duration;
+    if (rateInput) {
+      rateInput.min = Math.round(minRate * 100);
+      rateInput.max = Math.round(maxRate * 100);
+      rateInput.value = Math.round((prev ? prev.rate : 0.75) * 100);
+      const showRate = () => { if (rateLabel) rateLabel.textContent = `${rateInput.value}%`; };
+      rateInput.oninput = showRate;
+      showRate();
+    }
+    setRange(prev ? prev.start : 0, prev ? prev.end : duration);
+
+    this.practiceScreen.classList.add('active');
+  }
+
+  readPracticeRange() {
+    const value = (id) => parseFloat(this.practiceScreen.querySelector(`#${id}`).value);
+    return {
+      start: value('practice-a') || 0,
+      end: value('practice-b') || 0,
+      rate: (value('practice-rate') || 100) / 100,
+    };
+  }
+
+  hidePractice() {
+    if (this.practiceScreen) this.practiceScreen.classList.remove('active');
+  }
+
+  // --- Settings ---
+  showSettings(settings) {
+    if (!this.settingsScreen) return;
+    this.renderBindings(settings);
+    this.renderMidiNotes(settings);
+    this.settingsScreen.querySelectorAll('input[data-setting]').forEach(input => {
+      const name = input.dataset.setting;
+      input.value = Math.round(settings[name] * 100);
+      this.showSettingValue(name, settings[name]);
+    });
+    this.setSettingsMessage('');
+    this.settingsScreen.classList.add('active');
+  }
+
+  hideSettings() {
+    if (this.settingsScreen) this.settingsScreen.classList.remove('active');
+  }
+
+  // client: LeaderboardClient — its url/player/friends fill the text fields
+  showLeaderboardSettings(client) {
+    if (!this.settingsScreen) return;
+    this.settingsScreen.querySelectorAll('input[data-leaderboard]').forEach(input => {
+      const value = client[input.dataset.leaderboard];
+      input.value = Array.isArray(value) ? value.join(', ') : value;
+    });
+  }
+
+  // --- Profile: play history summary, bests, recent plays and trends ---
+  // summary comes from summarizeHistory(plays)
+  showProfile(summary, plays) {
+    if (!this.profileScreen) return;
+    this.profileScreen.classList.add('active');
+    this.clearFocus(this.profileScreen);
+
+    const hours = Math.floor(summary.playTime / 3600);
+    const minutes = Math.floor(summary.playTime / 60) % 60;
+    const totals = this.profileScreen.querySelector('#profile-totals');
+    if (totals) {
+      totals.innerHTML = `<b>${summary.plays}</b> PLAYS · <b>${hours ? `${hours}h ` : ''}${minutes}m</b> PLAYED · <b>${summary.bests.length}</b> CHARTS CLEARED`;
+    }
+
+    const mods = (play) => describeModifiers(play.modifiers).join(' ');
+    const bests = this.profileScreen.querySelector('#profile-bests');
+    if (bests) {
+      bests.innerHTML = '';
+      if (summary.bests.length) {
+        bests.appendChild(buildTable(['TRACK', 'DIFF', 'GRADE', 'SCORE', 'MODS'], summary.bests.map(p => ({
+          cells: [p.title, p.difficulty, p.grade, p.score.toLocaleString(), mods(p)],
+        }))));
+      }
+    }
+
+    const recent = this.profileScreen.querySelector('#profile-recent');
+    if (recent) {
+      recent.innerHTML = '';
+      if (summary.recent.length) {
+        recent.appendChild(buildTable(['DATE', 'TRACK', 'DIFF', 'GRADE', 'SCORE', 'MODS'], summary.recent.map(p => ({
+          cells: [new Date(p.playedAt).toLocaleDateString(), p.title, p.difficulty, p.failed ? 'FAILED' : p.grade, p.score.toLocaleString(), mods(p)],
+          className: p.failed ? 'worst' : '',
+        }))));
+      }
+    }
+
+    const canvas = this.profileScreen.querySelector('#profile-trend');
+    if (canvas) {
+      canvas.style.display = plays.length > 1 ? '' : 'none';
+      if (plays.length > 1) {
+        const { ctx, w, h } = this.sizeCanvas(canvas, 100);
+        this.drawTrend(ctx, plays.slice(-50), w, h);
+      }
+    }
+    this.showProfileMessage(plays.length ? '' : 'No plays yet — finish a track and it shows up here.');
+  }
+
+  hideProfile() {
+    if (this.profileScreen) this.profileScreen.classList.remove('active');
+  }
+
+  showProfileMessage(text) {
+    const el = this.profileScreen && this.profileScreen.querySelector('#profile-message');
+    if (el) el.textContent = text;
+  }
+
+  // Approval rate (0–100%) and unstable rate (0–300, lower is steadier) across plays, oldest left
+  drawTrend(ctx, plays, w, h) {
+    const pad = 12;
+    const toX = (i) => pad + (plays.length > 1 ? i / (plays.length - 1) : 0) * (w - pad * 2);
+    const plot = (value, color) => {
+      ctx.strokeStyle = color;
+      ctx.fillStyle = color;
+      ctx.lineWidth = 1.5;
+      ctx.beginPath();
+      let started = false;
+      plays.forEach((play, i) => {
+        const v = value(play);
+        if (v === null || v === undefined) return;
+        const y = h - pad - Math.max(0, Math.min(1, v)) * (h - pad * 2);
+        if (started) ctx.lineTo(toX(i), y);
+        else ctx.moveTo(toX(i), y);
+        started = true;
+      });
+      ctx.stroke();
+    };
+
+    ctx.strokeStyle = 'rgba(255,255,255,0.06)';
+    ctx.lineWidth = 1;
+    for (const f of [0.25, 0.5, 0.75]) {
+      const y = h - pad - f * (h - pad * 2);
+      ctx.beginPath();
+      ctx.moveTo(pad, y);
+      ctx.lineTo(w - pad, y);
+      ctx.stroke();
+    }
+    plot(p => p.approvalRate / 100, '#00ff88');
+    plot(p => typeof p.unstableRate === 'number' ? p.unstableRate / 300 : null, '#C77DFF');
+    plays.forEach((p, i) => {
+      if (!p.failed) return;
+      ctx.fillStyle = '#ff0040';
+      ctx.fillRect(toX(i) - 1.5, h - pad - 1.5, 3, 3);
+    });
+
+    ctx.font = '8px monospace';
+    ctx.textAlign = 'left';
+    ctx.fillStyle = '#00ff88';
+    ctx.fillText('— APPROVAL %', pad, 9);
+    ctx.fillStyle = '#C77DFF';
+    ctx.fillText('— UNSTABLE RATE', pad + 80, 9);
+  }
+
+  // --- Achievements ---
+  // Short-lived notice in the corner, over the game as well as the menus
+  showToast(title, text, color = null) {
+    const container = document.getElementById('toasts');
+    if (!container) return;
+    const toast = document.createElement('div');
+    toast.className = 'toast';
+    if (color) toast.style.borderColor = color;
+    const heading = document.createElement('div');
+    heading.className = 'toast-title';
+    heading.textContent = title;
+    const body = document.createElement('div');
+    body.className = 'toast-text';
+    body.textContent = text;
+    if (color) body.style.color = color;
+    toast.append(heading, body);
+    container.appendChild(toast);
+    setTimeout(() => toast.classList.add('leaving'), 3500);
+    setTimeout(() => toast.remove(), 4000);
+  }
+
+  // badges: Achievements.list()
+  showAchievements(badges) {
+    if (!this.achievementsScreen) return;
+    this.achievementsScreen.classList.add('active');
+    this.clearFocus(this.achievementsScreen);
+    const count = this.achievementsScreen.querySelector('#achievements-count');
+    if (count) count.textContent = `${badges.filter(b => b.unlocked).length} / ${badges.length} UNLOCKED`;
+    const grid = this.achievementsScreen.querySelector('#achievements-grid');
+    if (!grid) return;
+    grid.innerHTML = '';
+    for (const badge of badges) {
+      const card = document.createElement('div');
+      card.className = `badge${badge.unlocked ? ' unlocked' : ''}`;
+      if (badge.unlocked && badge.color) card.style.borderColor = badge.color;
+      const name = document.createElement('div');
+      name.className = 'badge-name';
+      name.textContent = badge.unlocked && badge.unlocked.detail ? `${badge.name} ${badge.unlocked.detail}` : badge.name;
+      const desc = document.createElement('div');
+      desc.className = 'badge-desc';
+      desc.textContent = badge.unlocked
+        ? `${badge.description} · ${new Date(badge.unlocked.at).toLocaleDateString()}`
+        : badge.description;
+      card.append(name, desc);
+      grid.appendChild(card);
+    }
+  }
+
+  hideAchievements() {
+    if (this.achievementsScreen) this.achievementsScreen.classList.remove('active');
+  }
+
+  // --- Daily challenge ---
+  // info: { day, song, difficulty, modifiers (tags), attempt, streak, bestStreak }
+  showDaily(info) {
+    if (!this.dailyScreen) return;
+    this.dailyScreen.classList.add('active');
+    this.clearFocus(this.dailyScreen);
+    const set = (id, val) => {
+      const el = this.dailyScreen.querySelector(`#${id}`);
+      if (el) el.textContent = val;
+    };
+    set('daily-day', info.day);
+    set('daily-song', info.song ? `${info.song.title} — ${info.song.artist}` : '');
+    set('daily-difficulty', info.difficulty);
+    set('daily-mods', info.modifiers.length ? info.modifiers.join(' · ') : 'NONE');
+    set('daily-streak', `STREAK ${info.streak} · BEST ${info.bestStreak}`);
+
+    const attempt = info.attempt;
+    set('daily-attempt', !attempt
+      ? 'One ranked attempt today — practice as much as you like first'
+      : attempt.score === undefined ? 'Today\'s ranked attempt was abandoned — back tomorrow'
+      : `Today's ranked attempt: ${attempt.score.toLocaleString()} · ${attempt.failed ? 'FAILED' : attempt.grade}`);
+    const ranked = this.dailyScreen.querySelector('#daily-ranked-btn');
+    if (ranked) ranked.disabled = !!attempt;
+  }
+
+  hideDaily() {
+    if (this.dailyScreen) this.dailyScreen.classList.remove('active');
+  }
+
+  // capture: { lane, slot, pad } waiting for a key/button, or null
+  renderBindings(settings, capture = null) {
+    const list = this.settingsScreen && this.settingsScreen.querySelector('#settings-bindings');
+    if (!list) return;
+    list.innerHTML = '';
+    const colors = laneColors(settings.laneCount);
+    this.settingsScreen.querySelectorAll('.lanes-btn').forEach(b => {
+      b.classList.toggle('active', parseInt(b.dataset.lanes) === settings.laneCount);
+    });
+    settings.bindings.forEach((keys, lane) => {
+      const row = document.createElement('div');
+      row.className = 'settings-binding';
+      const name = document.createElement('span');
+      name.className = 'settings-lane';
+      name.textContent = colors[lane].name;
+      name.style.color = colors[lane].main;
+      row.appendChild(name);
+      const addButton = (label, slot, pad) => {
+        const btn = document.createElement('button');
+        btn.className = pad ? 'diff-btn bind-btn pad' : 'diff-btn bind-btn';
+        btn.dataset.lane = lane;
+        btn.dataset.slot = slot;
+        if (pad) btn.dataset.pad = '1';
+        const waiting = capture && capture.lane === lane && capture.slot === slot && !!capture.pad === pad;
+        btn.classList.toggle('active', !!waiting);
+        btn.textContent = waiting ? (pad ? 'PRESS' : 'PRESS A KEY') : label;
+        row.appendChild(btn);
+      };
+      keys.forEach((key, slot) => addButton(keyLabel(key), slot, false));
+      settings.padBindings[lane].forEach((button, slot) => addButton(padLabel(button), slot, true));
+      list.appendChild(row);
+    });
+  }
+
+  // learnLane: lane waiting for a MIDI note in learn mode, or null
+  renderMidiNotes(settings, learnLane = null) {
+    const row = this.settingsScreen && this.settingsScreen.querySelector('#settings-midi');
+    if (!row) return;
+    row.innerHTML = '';
+    const colors = laneColors(settings.laneCount);
+    settings.midiNotes.forEach((notes, lane) => {
+      const chip = document.createElement('span');
+      chip.className = 'diff-btn midi-note';
+      chip.classList.toggle('active', learnLane === lane);
+      chip.style.color = colors[lane].main;
+      chip.textContent = learnLane === lane ? 'HIT A PAD' : notes.map(midiLabel).join(' ') || '—';
+      row.appendChild(chip);
+    });
+  }
+
+  showSettingValue(name, value) {
+    const label = this.settingsScreen && this.settingsScreen.querySelector(`#setting-${name}-label`);
+    if (label && SETTING_FORMATS[name]) label.textContent = SETTING_FORMATS[name](value);
+  }
+
+  setSettingsMessage(text, isError = false) {
+    const el = this.settingsScreen && this.settingsScreen.querySelector('#settings-message');
+    if (!el) return;
+    el.textContent = text;
+    el.classList.toggle('error', isError);
+  }
+
+  // Title-screen key hint follows the current bindings
+  showKeyBindings(labels) {
+    const el = document.getElementById('title-keys-list');
+    if (!el) return;
+    el.innerHTML = '';
+    labels.forEach((label, i) => {
+      const kbd = document.createElement('kbd');
+      kbd.textContent = label;
+      el.appendChild(kbd);
+      if (i < labels.length - 1) el.appendChild(document.createTextNode(' '));
+    });
+  }
+
+  showResults(stats, practice = null, watched = null) {
     if (!this.resultsScreen) return;
     this.resultsScreen.classList.add('active');
+    this.clearFocus(this.resultsScreen);
+
+    // Practice runs and watched replays are labelled so they're never mistaken for a ranked settlement
+    const header = this.resultsScreen.querySelector('.results-header');
+    if (header) {
+      header.textContent = practice
+        ? `PRACTICE REPORT — ${practice.start.toFixed(1)}s–${practice.end.toFixed(1)}s @ ${Math.round(practice.rate * 100)}% · ${practice.loops} LOOPS`
+        : watched
+        ? `REPLAY REPORT — ${watched.difficulty} · ${new Date(watched.recordedAt).toLocaleString()}`
+        : stats.failed ? 'FAILED SETTLEMENT REPORT' : 'SETTLEMENT REPORT';
+      if (stats.daily) header.textContent = `DAILY ${header.textContent} — ${stats.daily.day} · STREAK ${stats.daily.streak}`;
+      if (stats.failed) header.textContent += ` — COMPLIANCE SHUTDOWN @ ${stats.failedAt.toFixed(1)}s`;
+    }
+    this.resultsScreen.classList.toggle('failed', !!stats.failed);
 
     const set = (id, val) => {
       const el = this.resultsScreen.querySelector(`#${id}`);
       if (el) el.textContent = val;
     };
 
+    const modsEl = this.resultsScreen.querySelector('#result-mods');
+    if (modsEl) {
+      const mods = stats.modifiers || [];
+      modsEl.textContent = mods.length ? `MODIFIERS: ${mods.join(' · ')}` : '';
+      modsEl.style.display = mods.length ? 'block' : 'none';
+    }
+
     // Grade: reveal with animation
     const gradeEl = this.resultsScreen.querySelector('#result-grade');
     if (gradeEl) {
@@ -108,8 +691,9 @@ export class UI {
         C: '"Risk levels elevated. Tighten controls." — IRIS',
         D: '"Compliance review required. Immediately." — VERA',
       };
+      const comment = stats.failed ? '"Regulators pulled the plug. Settlement halted." — IRIS' : comments[stats.grade] || comments.C;
       commentEl.textContent = '';
-      setTimeout(() => { commentEl.textContent = comments[stats.grade] || comments.C; }, 1200);
+      setTimeout(() => { commentEl.textContent = comment; }, 1200);
     }
 
     // Animated countUp for stats
@@ -144,6 +728,10 @@ export class UI {
       }
     });
 
+    this.showTimeline(stats);
+    this.showBreakdownTables(stats);
+    this.showTimingReport(stats.timing);
+
     // Risk level
     const riskEl = this.resultsScreen.querySelector('#result-risk');
     if (riskEl) {
@@ -152,6 +740,232 @@ export class UI {
     }
   }
 
+  // Mean offset, unstable rate, early/late split and a histogram of every press's error
+  showTimingReport(timing) {
+    const box = this.resultsScreen.querySelector('#result-timing');
+    if (!box) return;
+    box.style.display = timing ? '' : 'none';
+    if (!timing) return;
+
+    const ms = (s) => Math.round(Math.abs(s) * 1000);
+    const side = (s) => s > 0 ? 'EARLY' : 'LATE';
+    const statsEl = box.querySelector('#result-timing-stats');
+    if (statsEl) {
+      statsEl.innerHTML = `MEAN <b>${ms(timing.mean)}ms ${ms(timing.mean) ? side(timing.mean) : ''}</b> · ` +
+        `UR <b>${timing.unstableRate.toFixed(0)}</b> · ` +
+        `EARLY <b>${timing.early}</b> / LATE <b>${timing.late}</b>`;
+    }
+    // Enough presses leaning one way is worth recalibrating for
+    const hintEl = box.querySelector('#result-timing-hint');
+    if (hintEl) {
+      hintEl.textContent = timing.count >= 20 && ms(timing.mean) >= 10
+        ? `Consistently ${ms(timing.mean)}ms ${side(timing.mean).toLowerCase()} — try CALIBRATE on the title screen`
+        : '';
+    }
+
+    const canvas = box.querySelector('#result-histogram');
+    if (!canvas) return;
+    const { ctx, w, h } = this.sizeCanvas(canvas, 72);
+    this.drawHistogram(ctx, timing.offsets, 0, 0, w, h);
+  }
+
+  // Accuracy and misses per song section and per lane, so it's clear what to practice
+  showBreakdownTables(stats) {
+    const box = this.resultsScreen.querySelector('#result-tables');
+    if (!box) return;
+    box.innerHTML = '';
+    if (!stats.timeline.length) return;
+
+    const tally = (entries) => {
+      const approved = entries.filter(e => e.judgment === Judgment.APPROVED).length;
+      const misses = entries.filter(e => e.judgment === Judgment.CHARGEBACK).length;
+      return { notes: entries.length, rate: approved / entries.length * 100, misses };
+    };
+    // The row with the most misses is highlighted
+    const table = (title, rows) => {
+      const filled = rows.filter(r => r.entries.length).map(r => ({ ...r, ...tally(r.entries) }));
+      const worst = Math.max(...filled.map(r => r.misses));
+      box.appendChild(buildTable([title, 'NOTES', 'APPROVED', 'MISSES'], filled.map(r => ({
+        cells: [r.label, r.notes, `${r.rate.toFixed(0)}%`, r.misses],
+        color: r.color,
+        className: r.misses > 0 && r.misses === worst ? 'worst' : '',
+      }))));
+    };
+
+    const sectionOf = (t) => stats.sections.find(s => t >= s.start && t < s.end);
+    if (stats.sections.length) {
+      const rows = stats.sections.map(sec => ({ label: sec.name || '—', entries: stats.timeline.filter(e => sectionOf(e.time) === sec) }));
+      rows.push({ label: 'OTHER', entries: stats.timeline.filter(e => !sectionOf(e.time)) });
+      table('SECTION', rows);
+    }
+    table('LANE', laneColors(stats.laneCount).map((c, lane) => ({
+      label: c.name,
+      color: c.main,
+      entries: stats.timeline.filter(e => e.lane === lane),
+    })));
+  }
+
+  // Match a results canvas's backing store to its CSS size
+  sizeCanvas(canvas, fallbackHeight) {
+    const dpr = window.devicePixelRatio || 1;
+    const w = canvas.clientWidth || 320, h = canvas.clientHeight || fallbackHeight;
+    canvas.width = w * dpr;
+    canvas.height = h * dpr;
+    const ctx = canvas.getContext('2d');
+    ctx.scale(dpr, dpr);
+    return { ctx, w, h };
+  }
+
+  showTimeline(stats) {
+    const canvas = this.resultsScreen.querySelector('#result-timeline');
+    if (!canvas) return;
+    canvas.style.display = stats.timeline.length ? '' : 'none';
+    if (!stats.timeline.length) return;
+    const { ctx, w, h } = this.sizeCanvas(canvas, 110);
+    this.drawTimeline(ctx, stats, 0, 0, w, h);
+  }
+
+  // The run over time: section bands behind streak and compliance lines,
+  // then a strip with one tick per judgment (a row each, APPROVED on top)
+  drawTimeline(ctx, stats, x, y, w, h) {
+    const [start, end] = stats.span;
+    const length = Math.max(end - start, 1);
+    const toX = (t) => x + Math.max(0, Math.min(1, (t - start) / length)) * w;
+    const stripH = Math.round(h * 0.3);
+    const graphH = h - stripH - 4;
+    const timeline = stats.timeline;
+
+    ctx.font = '7px monospace';
+    ctx.textAlign = 'left';
+    stats.sections.forEach((sec, i) => {
+      if (sec.end <= start || sec.start >= end) return;
+      const x0 = toX(sec.start), x1 = toX(sec.end);
+      ctx.fillStyle = sec.color || (i % 2 ? '#00d4ff' : '#C77DFF');
+      ctx.globalAlpha = 0.1;
+      ctx.fillRect(x0, y, x1 - x0, h);
+      ctx.globalAlpha = 0.6;
+      if (x1 - x0 > 30) ctx.fillText(sec.name, x0 + 3, y + 8, x1 - x0 - 6);
+    });
+    ctx.globalAlpha = 1;
+
+    const plot = (value, color) => {
+      ctx.strokeStyle = color;
+      ctx.lineWidth = 1.5;
+      ctx.beginPath();
+      timeline.forEach((e, i) => {
+        const px = toX(e.time), py = y + graphH - value(e) * (graphH - 12);
+        if (i === 0) ctx.moveTo(px, py);
+        else ctx.lineTo(px, py);
+      });
+      ctx.stroke();
+    };
+    plot(e => e.combo / Math.max(1, stats.maxCombo), '#00d4ff');
+    plot(e => e.health, '#00ff88');
+
+    const rows = [Judgment.APPROVED, Judgment.PENDING, Judgment.DECLINED, Judgment.CHARGEBACK];
+    const rowH = stripH / rows.length;
+    const stripY = y + h - stripH;
+    ctx.fillStyle = 'rgba(255,255,255,0.03)';
+    ctx.fillRect(x, stripY, w, stripH);
+    for (const e of timeline) {
+      ctx.fillStyle = JUDGMENT_COLORS[e.judgment];
+      ctx.fillRect(toX(e.time) - 0.5, stripY + rows.indexOf(e.judgment) * rowH, 1, rowH - 1);
+    }
+
+    if (stats.failed) {
+      const fx = toX(timeline[timeline.length - 1].time);
+      ctx.fillStyle = '#ff0040';
+      ctx.fillRect(fx - 0.5, y, 1, h);
+      ctx.textAlign = fx > x + w - 50 ? 'right' : 'left';
+      ctx.fillText('SHUTDOWN', fx + (ctx.textAlign === 'right' ? -3 : 3), y + graphH);
+    }
+
+    ctx.textAlign = 'right';
+    ctx.fillStyle = '#00d4ff';
+    ctx.fillText('— STREAK', x + w - 70, y + 8);
+    ctx.fillStyle = '#00ff88';
+    ctx.fillText('— COMPLIANCE', x + w, y + 8);
+  }
+
+  // 5ms buckets across the miss window, early on the left; coloured by judgment window
+  drawHistogram(ctx, offsets, x, y, w, h) {
+    const bucket = 0.005;
+    const buckets = new Array(Math.round(TIMING.MISS * 2 / bucket)).fill(0);
+    for (const o of offsets) {
+      const i = Math.floor((TIMING.MISS - o) / bucket);
+      buckets[Math.max(0, Math.min(buckets.length - 1, i))]++;
+    }
+    const peak = Math.max(1, ...buckets);
+    const barW = w / buckets.length;
+
+    buckets.forEach((n, i) => {
+      if (!n) return;
+      const center = Math.abs(TIMING.MISS - (i + 0.5) * bucket);
+      const judgment = center <= TIMING.APPROVED ? Judgment.APPROVED : center <= TIMING.PENDING ? Judgment.PENDING
+        : center <= TIMING.DECLINED ? Judgment.DECLINED : Judgment.CHARGEBACK;
+      const barH = (n / peak) * (h - 12);
+      ctx.fillStyle = JUDGMENT_COLORS[judgment];
+      ctx.fillRect(x + i * barW + 0.5, y + h - 12 - barH, Math.max(1, barW - 1), barH);
+    });
+
+    ctx.fillStyle = 'rgba(255,255,255,0.5)';
+    ctx.fillRect(x + w / 2 - 0.5, y, 1, h - 12);
+    ctx.font = '8px monospace';
+    ctx.fillStyle = 'rgba(255,255,255,0.4)';
+    ctx.textAlign = 'left';
+    ctx.fillText('EARLY', x, y + h - 2);
+    ctx.textAlign = 'center';
+    ctx.fillText('0', x + w / 2, y + h - 2);
+    ctx.textAlign = 'right';
+    ctx.fillText('LATE', x + w, y + h - 2);
+  }
+
+  // board: { scope, entries, player, message }, a message alone (leaderboard off), or null to hide
+  showLeaderboard(board) {
+    const box = this.resultsScreen && this.resultsScreen.querySelector('#result-board');
+    if (!box) return;
+    box.style.display = board ? '' : 'none';
+    if (!board) return;
+    box.querySelectorAll('.board-scope').forEach(btn => {
+      btn.style.display = board.scope ? '' : 'none';
+      btn.classList.toggle('active', btn.dataset.scope === board.scope);
+    });
+    this.setLeaderboardMessage(board.message || '');
+
+    const list = box.querySelector('#result-board-list');
+    if (!list) return;
+    list.innerHTML = '';
+    if (!board.entries) return;
+    if (!board.entries.length) {
+      if (!board.message) this.setLeaderboardMessage(board.scope === 'friends' ? 'No friends on this board yet' : 'No scores on this board yet');
+      return;
+    }
+    const table = buildTable(['#', 'PLAYER', 'GRADE', 'SCORE', 'APPROVAL', ''], board.entries.map(e => ({
+      cells: [e.rank, e.player, e.grade, e.score.toLocaleString(), `${e.approvalRate.toFixed(1)}%`, ''],
+      className: e.player === board.player ? 'own' : '',
+    })));
+    // Every entry is backed by its replay
+    table.querySelectorAll('tbody tr').forEach((tr, i) => {
+      const watch = document.createElement('button');
+      watch.className = 'calibrate-link board-watch';
+      watch.dataset.id = board.entries[i].id;
+      watch.textContent = '▶';
+      watch.title = 'Watch this run';
+      tr.lastChild.appendChild(watch);
+    });
+    list.appendChild(table);
+  }
+
+  setLeaderboardMessage(text) {
+    const el = this.resultsScreen && this.resultsScreen.querySelector('#result-board-message');
+    if (el) el.textContent = text;
+  }
+
+  showReplayActions(visible) {
+    const row = document.getElementById('results-replay');
+    if (row) row.style.display = visible ? '' : 'none';
+  }
+
   _countUp(id, from, to, duration, delay, format) {
     const el = this.resultsScreen.querySelector(`#${id}`);
     if (!el) return;
@@ -175,9 +989,22 @@ export class UI {
     if (this.resultsScreen) this.resultsScreen.classList.remove('active');
   }
 
+  // Save a JSON object as a file download (chart editor export)
+  downloadJSON(filename, data) {
+    const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
   async generateShareImage(stats) {
     const canvas = document.createElement('canvas');
-    const w = 600, h = 340;
+    const w = 600, h = 430;
     canvas.width = w * 2;
     canvas.height = h * 2;
     const ctx = canvas.getContext('2d');
@@ -199,8 +1026,8 @@ export class UI {
     ctx.fillText('FINPOP SETTLEMENT REPORT', 20, 32);
     ctx.font = '11px monospace';
     ctx.textAlign = 'right';
-    ctx.fillStyle = '#00ff88';
-    ctx.fillText('● VERIFIED', w - 20, 32);
+    ctx.fillStyle = stats.failed ? '#ff0040' : '#00ff88';
+    ctx.fillText(stats.failed ? '● SHUTDOWN' : '● VERIFIED', w - 20, 32);
 
     const gradeColors = { S: '#FFD700', A: '#00ff88', B: '#00d4ff', C: '#ff6600', D: '#ff0040' };
     ctx.font = 'bold 80px monospace';
@@ -232,6 +1059,19 @@ export class UI {
       ctx.fillText(statsData[i].value, 200, y + 20);
     }
 
+    if (stats.modifiers && stats.modifiers.length) {
+      ctx.font = 'bold 10px monospace';
+      ctx.textAlign = 'center';
+      ctx.fillStyle = '#C77DFF';
+      ctx.fillText(stats.modifiers.join(' · '), 100, 215);
+    }
+
+    if (stats.timeline && stats.timeline.length) {
+      ctx.fillStyle = 'rgba(255,255,255,0.02)';
+      ctx.fillRect(20, 262, w - 40, 130);
+      this.drawTimeline(ctx, stats, 20, 262, w - 40, 130);
+    }
+
     ctx.font = '11px monospace';
     ctx.textAlign = 'center';
     ctx.fillStyle = 'rgba(255,255,255,0.3)';
@@ -240,15 +1080,17 @@ export class UI {
     return new Promise(resolve => { canvas.toBlob(blob => resolve(blob), 'image/png'); });
   }
 
-  async share(stats) {
-    const text = `FINPOP Settlement Report: Grade ${stats.grade} | ${stats.approvalRate.toFixed(0)}% Approved | ${stats.volume} Volume | ${stats.maxCombo}x Streak`;
-    const url = this.getShareUrl(stats);
+  async share(stats, song, replay = null) {
+    const trackTitle = song ? song.title.toUpperCase() : 'PAYMENTS ON LOCK';
+    const mods = stats.modifiers && stats.modifiers.length ? ` | ${stats.modifiers.join(' ')}` : '';
+    const text = `FINPOP ${stats.failed ? 'FAILED ' : ''}Settlement Report (${trackTitle}): Grade ${stats.grade} | ${stats.approvalRate.toFixed(0)}% Approved | ${stats.volume} Volume | ${stats.maxCombo}x Streak${mods}`;
+    const url = await this.getShareUrl(stats, replay);
 
     if (navigator.share) {
       try {
         const blob = await this.generateShareImage(stats);
         const file = new File([blob], 'finpop-report.png', { type: 'image/png' });
-        await navigator.share({ title: 'PAYMENTS ON LOCK: Beat Edition', text, url, files: [file] });
+        await navigator.share({ title: `${trackTitle}: Beat Edition`, text, url, files: [file] });
         return true;
       } catch (e) {
         try { await navigator.share({ title: 'FINPOP', text, url }); return true; } catch { /* cancelled */ }
@@ -257,9 +1099,20 @@ export class UI {
     try { await navigator.clipboard.writeText(`${text}\n${url}`); return true; } catch { return false; }
   }
 
-  getShareUrl(stats) {
+  // With a replay the link carries it (r) and its chart version (c), and the receiver re-judges it.
+  // Without one — or if it's too long for a URL — only the score is claimed, and shows as unverified.
+  async getShareUrl(stats, replay = null) {
+    const base = `${window.location.origin}${window.location.pathname}`;
+    if (replay) {
+      try {
+        const packed = await encodeReplay(replay);
+        if (packed.length <= MAX_SHARED_REPLAY) return `${base}#${new URLSearchParams({ r: packed, c: replay.chartHash })}`;
+      } catch (e) {
+        console.warn('Replay left out of share link:', e.message);
+      }
+    }
     const params = new URLSearchParams({ s: Math.round(stats.approvalRate), g: stats.grade, v: stats.maxCombo, sc: stats.score });
-    return `${window.location.origin}${window.location.pathname}#${params.toString()}`;
+    return `${base}#${params.toString()}`;
   }
 
   parseShareUrl() {
@@ -272,6 +1125,8 @@ export class UI {
         grade: params.get('g') || '?',
         maxCombo: parseInt(params.get('v')) || 0,
         score: parseInt(params.get('sc')) || 0,
+        replay: params.get('r'), // packed replay, checked by the game before it's believed
+        chart: params.get('c'),
       };
     } catch { return null; }
   }
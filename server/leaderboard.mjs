@@ -0,0 +1,235 @@
+// FINPOP Rhythm Game — Leaderboard Server
+// Self-hostable reference server: replay-backed score submissions and top-N boards, kept in a JSON file.
+// Every submission is re-judged with the game's own judge (js/) against the game's charts, so a board only
+// ranks what its replay actually scores. No npm dependencies — run with
+// `node server/leaderboard.mjs [data-file] [game-dir]` (game-dir: the one this ships in; PORT, default 8787).
+//
+//   POST /api/scores        { player, replay }  → { id, rank, best }
+//   GET  /api/scores?song=&difficulty=&mods=&chart=&players=a,b&limit=  → { entries }
+//   GET  /api/replays/:id   → the replay behind an entry
+
+import http from 'node:http';
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { BeatmapManager } from '../js/beatmap.js';
+import { Scorer } from '../js/scorer.js';
+import { Judge } from '../js/judge.js';
+import { modifierKey, normalizeModifiers, laneMap } from '../js/modifiers.js';
+import { ReplayPlayer, replayProblem, reproducesResult } from '../js/replay.js';
+
+const GAME_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const MAX_BODY = 2 * 1024 * 1024; // a long 7K chart's replay is well under this
+const MAX_LIMIT = 100;
+const JUDGE_STEP = 0.05; // re-judging steps this far at a time (the result is the same for any step)
+
+class RequestError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+export const cleanPlayer = (name) => typeof name === 'string' ? name.trim().replace(/\s+/g, ' ').slice(0, 24) : '';
+
+// Cheap structural checks (the game's own) before a replay is re-judged; it's kept so anyone can watch the run behind a score
+function checkReplay(replay) {
+  const problem = replayProblem(replay);
+  if (problem) throw new RequestError(400, problem);
+  if (replay.result.failed) throw new RequestError(422, 'failed runs are not ranked');
+}
+
+// The game's track manifest and charts, as the game itself loads them (charts read once, on first use)
+export class ChartLibrary {
+  constructor(dir = GAME_DIR) {
+    this.dir = dir;
+    this.songs = null; // song id → chart file
+    this.charts = new Map();
+  }
+
+  // Chart data for a track, or null if the game doesn't ship it (e.g. a player's own audio file)
+  get(songId) {
+    if (!this.songs) {
+      const { songs = [] } = JSON.parse(fs.readFileSync(path.join(this.dir, 'assets/songs.json'), 'utf8'));
+      this.songs = new Map(songs.filter(s => s.id && s.beatmap).map(s => [s.id, s.beatmap]));
+    }
+    const file = this.songs.get(songId);
+    if (!file) return null;
+    if (!this.charts.has(songId)) this.charts.set(songId, JSON.parse(fs.readFileSync(path.join(this.dir, file), 'utf8')));
+    return this.charts.get(songId);
+  }
+}
+
+// What a replay scores on this server's copy of its chart: the game's run setup (Game.prepareRun) and judge
+function judgeReplay(charts, replay) {
+  const data = charts.get(replay.songId);
+  if (!data) throw new RequestError(422, 'track not on this server');
+  const beatmap = new BeatmapManager();
+  beatmap.loadData(data);
+  if (!beatmap.difficulties.includes(replay.difficulty)) throw new RequestError(422, `no ${replay.difficulty} chart`);
+  if (beatmap.getChartHash(replay.difficulty) !== replay.chartHash) throw new RequestError(422, 'different chart version');
+
+  beatmap.offset = replay.offset;
+  beatmap.applyDifficulty(replay.difficulty);
+  const mods = normalizeModifiers(replay.mods);
+  beatmap.remapLanes(laneMap(beatmap.laneCount, mods));
+  beatmap.reset();
+  const scorer = new Scorer();
+  scorer.canFail = !mods.nofail; // never the replay's own canFail: a failed run could claim it couldn't fail
+  const judge = new Judge(beatmap, scorer);
+  judge.reset();
+  return judge.run(new ReplayPlayer(replay), beatmap.getLastNoteEnd() + 3, JUDGE_STEP);
+}
+
+export class LeaderboardStore {
+  constructor(file, charts = new ChartLibrary()) {
+    this.file = file;
+    this.charts = charts;
+    this.data = { nextId: 1, entries: [] };
+  }
+
+  load() {
+    try {
+      const saved = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+      if (saved && Array.isArray(saved.entries)) this.data = saved;
+    } catch (e) {
+      if (e.code !== 'ENOENT') throw e;
+    }
+  }
+
+  // Written to a temp file first so a crash mid-write never leaves a truncated board
+  save() {
+    const tmp = `${this.file}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(this.data));
+    fs.renameSync(tmp, this.file);
+  }
+
+  // Entries on one board, best first (ties go to whoever got there first)
+  board(query) {
+    return this.data.entries
+      .filter(e => e.songId === query.song && e.difficulty === query.difficulty && e.mods === query.mods &&
+        (!query.chart || e.chartHash === query.chart) && (!query.players || query.players.includes(e.player)))
+      .sort((a, b) => b.score - a.score || a.recordedAt - b.recordedAt);
+  }
+
+  // Each player keeps one entry per board and chart version: their best.
+  // Ranked on what the replay re-judges to — a result it doesn't reproduce is turned away.
+  submit(player, replay) {
+    player = cleanPlayer(player);
+    if (!player) throw new RequestError(400, 'missing player name');
+    checkReplay(replay);
+    const query = { song: replay.songId, difficulty: replay.difficulty, mods: modifierKey(replay.mods), chart: replay.chartHash };
+    const current = this.board(query).find(e => e.player === player);
+    if (current && current.recordedAt === replay.recordedAt) throw new RequestError(409, 'already submitted');
+    const stats = judgeReplay(this.charts, replay);
+    if (!reproducesResult(stats, replay.result)) throw new RequestError(422, 'replay does not reproduce the score');
+    let best = false;
+    if (!current || stats.score > current.score) {
+      if (current) this.data.entries.splice(this.data.entries.indexOf(current), 1);
+      this.data.entries.push({
+        id: this.data.nextId++,
+        player,
+        songId: query.song,
+        difficulty: query.difficulty,
+        mods: query.mods,
+        chartHash: query.chart,
+        score: stats.score,
+        grade: stats.grade,
+        approvalRate: stats.approvalRate,
+        maxCombo: stats.maxCombo,
+        recordedAt: replay.recordedAt,
+        submittedAt: Date.now(),
+        replay,
+      });
+      this.save();
+      best = true;
+    }
+    const board = this.board(query);
+    const entry = board.find(e => e.player === player);
+    return { id: entry.id, rank: board.indexOf(entry) + 1, best };
+  }
+
+  replay(id) {
+    const entry = this.data.entries.find(e => e.id === id);
+    return entry ? entry.replay : null;
+  }
+}
+
+const publicEntry = ({ replay, chartHash, submittedAt, ...entry }, i) => ({ rank: i + 1, ...entry });
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > MAX_BODY) {
+        reject(new RequestError(413, 'submission too large'));
+        req.destroy();
+      } else chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    req.on('error', reject);
+  });
+}
+
+function send(res, status, body) {
+  res.writeHead(status, {
+    'Content-Type': 'application/json',
+    // The game is usually served from elsewhere (or from file://)
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type',
+  });
+  res.end(body === null ? '' : JSON.stringify(body));
+}
+
+export function createServer(store) {
+  return http.createServer(async (req, res) => {
+    try {
+      const url = new URL(req.url, 'http://localhost');
+      if (req.method === 'OPTIONS') return send(res, 204, null);
+
+      if (url.pathname === '/api/scores' && req.method === 'POST') {
+        let body;
+        try { body = JSON.parse(await readBody(req)); } catch (e) { throw e instanceof RequestError ? e : new RequestError(400, 'invalid JSON'); }
+        return send(res, 200, store.submit(body && body.player, body && body.replay));
+      }
+
+      if (url.pathname === '/api/scores' && req.method === 'GET') {
+        const q = url.searchParams;
+        if (!q.get('song') || !q.get('difficulty')) throw new RequestError(400, 'song and difficulty are required');
+        const players = q.get('players');
+        const limit = Math.max(1, Math.min(MAX_LIMIT, parseInt(q.get('limit')) || 10));
+        const board = store.board({
+          song: q.get('song'),
+          difficulty: q.get('difficulty'),
+          mods: q.get('mods') || 'none',
+          chart: q.get('chart') || null,
+          players: players ? players.split(',').map(cleanPlayer).filter(Boolean) : null,
+        });
+        return send(res, 200, { total: board.length, entries: board.slice(0, limit).map(publicEntry) });
+      }
+
+      const replayMatch = url.pathname.match(/^\/api\/replays\/(\d+)$/);
+      if (replayMatch && req.method === 'GET') {
+        const replay = store.replay(parseInt(replayMatch[1]));
+        if (!replay) throw new RequestError(404, 'no such entry');
+        return send(res, 200, replay);
+      }
+
+      throw new RequestError(404, 'not found');
+    } catch (e) {
+      if (!(e instanceof RequestError)) console.error(e);
+      send(res, e.status || 500, { error: e instanceof RequestError ? e.message : 'server error' });
+    }
+  });
+}
+
+// Run directly (not imported)
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  const store = new LeaderboardStore(path.resolve(process.argv[2] || 'leaderboard.json'), new ChartLibrary(path.resolve(process.argv[3] || GAME_DIR)));
+  store.load();
+  const port = parseInt(process.env.PORT) || 8787;
+  createServer(store).listen(port, () => console.log(`FINPOP leaderboard on http://localhost:${port} (${store.file})`));
+}
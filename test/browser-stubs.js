@@ -0,0 +1,25 @@
+// FINPOP Rhythm Game — Test Stubs
+// Just enough of the browser for the game modules to load under Node; assets are read from the repo
+
+import fs from 'node:fs';
+
+const store = new Map();
+globalThis.localStorage = {
+  getItem: (key) => store.has(key) ? store.get(key) : null,
+  setItem: (key, value) => store.set(key, String(value)),
+  removeItem: (key) => store.delete(key),
+  clear: () => store.clear(),
+};
+globalThis.window = { addEventListener() {}, devicePixelRatio: 1, location: { hash: '', origin: '', pathname: '/' } };
+globalThis.document = { getElementById: () => null, querySelector: () => null, querySelectorAll: () => [] };
+if (!globalThis.navigator) globalThis.navigator = {};
+
+const networkFetch = globalThis.fetch;
+globalThis.fetch = async (url, options) => {
+  if (/^https?:/.test(String(url))) return networkFetch(url, options);
+  const text = fs.readFileSync(new URL(`../${url}`, import.meta.url), 'utf8');
+  return { ok: true, json: async () => JSON.parse(text) };
+};
+
+// Swallows any call; `props` are real values (e.g. { loaded: false } for the audio engine)
+export const inert = (props = {}) => new Proxy(props, { get: (t, k) => k in t ? t[k] : () => {} });
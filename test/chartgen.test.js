@@ -0,0 +1,76 @@
+// FINPOP Rhythm Game — Chart Generator Tests
+// Charts from a synthetic drum loop: reproducible, inside the lane count, no stacked notes, denser as it gets harder
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+const { ChartGenerator } = await import('../js/chartgen.js');
+const { BeatmapManager, noteEnd } = await import('../js/beatmap.js');
+const { seededRandom } = await import('../js/random.js');
+
+const RATE = 22050;
+
+// Just enough of an AudioBuffer: a mono 120 BPM loop of kicks on the beat and hats between,
+// each hit at a seeded loudness and pitch, so the seed picks the track
+function drumLoop(seed, seconds = 16) {
+  const random = seededRandom(seed);
+  const data = new Float32Array(seconds * RATE);
+  const hit = (at, freq, noise, gain) => {
+    const start = Math.round(at * RATE);
+    for (let i = 0; i < RATE * 0.12 && start + i < data.length; i++) {
+      const decay = Math.exp(-i / (RATE * 0.03));
+      const tone = Math.sin(2 * Math.PI * freq * i / RATE);
+      data[start + i] += gain * decay * (tone * (1 - noise) + (random() * 2 - 1) * noise);
+    }
+  };
+  for (let beat = 0; beat < seconds * 2 - 1; beat++) {
+    const time = 0.25 + beat * 0.5;
+    hit(time, 60 + random() * 80, beat % 2 ? 0.5 : 0.1, 0.5 + random() * 0.5);
+    if (random() < 0.8) hit(time + 0.25, 2000 + random() * 4000, 0.8, 0.2 + random() * 0.4);
+  }
+  return { sampleRate: RATE, length: data.length, duration: seconds, numberOfChannels: 1, getChannelData: () => data };
+}
+
+const generate = (seed, lanes) => new ChartGenerator().generate(drumLoop(seed), { lanes });
+
+test('the same audio always charts the same way', () => {
+  const chart = generate(7);
+  assert.deepEqual(generate(7), chart);
+  assert.notDeepEqual(generate(8).charts.HARD.notes, chart.charts.HARD.notes);
+  assert.ok(Math.abs(chart.bpm - 120) < 1, `detected ${chart.bpm} BPM`);
+});
+
+test('notes stay inside the requested lane count', () => {
+  for (const lanes of [4, 7]) {
+    const chart = generate(7, lanes);
+    for (const { notes } of Object.values(chart.charts)) {
+      assert.ok(notes.every(n => Number.isInteger(n.lane) && n.lane >= 0 && n.lane < lanes));
+    }
+    const beatmap = new BeatmapManager();
+    beatmap.loadData(chart);
+    assert.deepEqual(beatmap.difficulties.map(d => beatmap.getLaneCount(d)), [lanes, lanes, lanes]);
+  }
+});
+
+test('no note starts on a lane before the previous one there has ended', () => {
+  for (const seed of [7, 8, 9]) {
+    for (const [name, { notes }] of Object.entries(generate(seed, 5).charts)) {
+      const ends = new Map();
+      for (const note of [...notes].sort((a, b) => a.time - b.time)) {
+        assert.ok(!(note.time <= ends.get(note.lane)), `${name} lane ${note.lane} at ${note.time}`);
+        ends.set(note.lane, noteEnd(note));
+      }
+    }
+  }
+});
+
+test('harder difficulties get more notes and a higher level', () => {
+  for (const seed of [7, 8, 9]) {
+    const { EASY, NORMAL, HARD } = generate(seed).charts;
+    assert.ok(EASY.notes.length < NORMAL.notes.length && NORMAL.notes.length < HARD.notes.length,
+      `${EASY.notes.length} / ${NORMAL.notes.length} / ${HARD.notes.length}`);
+    assert.ok(EASY.level <= NORMAL.level && NORMAL.level <= HARD.level);
+    // EASY is single taps: no holds, no chords
+    assert.ok(EASY.notes.every(n => n.type === 'tap' && EASY.notes.filter(m => m.time === n.time).length === 1));
+  }
+});
@@ -0,0 +1,58 @@
+// FINPOP Rhythm Game — Test Game Fixture
+// A headless game with the bundled track loaded, and replays of a sloppy player on it
+
+import { inert } from './browser-stubs.js';
+
+const { Game } = await import('../js/game.js');
+const { REPLAY_VERSION, toReplayTime } = await import('../js/replay.js');
+const { seededRandom } = await import('../js/random.js');
+
+export const SONG = { id: 'payments_on_lock', title: 'Payments On Lock' };
+
+export async function loadGame() {
+  const game = new Game();
+  game.ui = inert();
+  game.renderer = inert();
+  game.sfx = inert();
+  game.input = inert();
+  game.audio = inert({ loaded: false });
+  await game.beatmap.load('assets/beatmaps/payments_on_lock.json');
+  game.currentSong = SONG;
+  return game;
+}
+
+// A sloppy player: skips some notes, presses off the beat, lets go of some holds early.
+// The seed picks the run and doubles as its recordedAt; runs that can't fail are played with NO FAIL.
+export function playChart(game, difficulty, seed, canFail = false) {
+  game.setDifficulty(difficulty);
+  game.beatmap.applyDifficulty(difficulty);
+  const random = seededRandom(seed);
+  const events = [];
+  for (const note of game.beatmap.notes) {
+    if (random() < 0.15) continue;
+    const press = note.time + (random() - 0.5) * 0.16;
+    const length = note.type === 'hold' ? note.duration * (random() < 0.6 ? 1 : 0.4) : 0.05;
+    events.push([toReplayTime(press), note.lane, 1], [toReplayTime(press + length), note.lane, 0]);
+  }
+  events.sort((a, b) => a[0] - b[0]);
+  return {
+    version: REPLAY_VERSION,
+    songId: SONG.id,
+    title: SONG.title,
+    difficulty,
+    offset: 0,
+    chartHash: game.beatmap.getChartHash(difficulty),
+    mods: canFail ? null : { nofail: true },
+    canFail,
+    recordedAt: seed,
+    events,
+  };
+}
+
+// The result the recorder would have closed the replay with
+export function withResult(game, replay) {
+  const stats = game.resimulate(replay);
+  replay.result = { score: stats.score, grade: stats.grade, approvalRate: stats.approvalRate, maxCombo: stats.maxCombo };
+  if (stats.failed) replay.result.failed = true;
+  return replay;
+}
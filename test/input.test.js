@@ -0,0 +1,77 @@
+// FINPOP Rhythm Game — Input Tests
+// Lane events come out in the order they happened, whichever device they came from; MIDI via a mocked MIDIAccess
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import './browser-stubs.js';
+
+const { InputHandler } = await import('../js/input.js');
+
+const lanes = (events) => events.map(e => [e.timeStamp, e.lane, e.down]);
+
+test('lane events are drained oldest first, ties in arrival order', () => {
+  const input = new InputHandler();
+  // A pad polled late reports an earlier press than the key queued before it
+  input.pushLaneEvent(1, true, { timeStamp: 30 });
+  input.pushLaneEvent(0, true, { timeStamp: 20 });
+  input.pushLaneEvent(0, false, { timeStamp: 30 });
+  input.pushLaneEvent(2, true, { timeStamp: 10 });
+  assert.deepEqual(lanes(input.drainLaneEvents()), [[10, 2, true], [20, 0, true], [30, 1, true], [30, 0, false]]);
+  assert.deepEqual(input.drainLaneEvents(), []);
+});
+
+// Just enough of a MIDIAccess: inputs keyed by id, each with a name and an onmidimessage slot
+function mockMidi(...names) {
+  const port = (name) => ({ name, onmidimessage: null });
+  const access = { inputs: new Map(names.map((name, i) => [`in${i}`, port(name)])), onstatechange: null };
+  const send = (id, timeStamp, ...data) => access.inputs.get(id).onmidimessage({ data, timeStamp });
+  return { access, port, send };
+}
+
+test('MIDI note-on and note-off become lane presses and releases', async () => {
+  const input = new InputHandler();
+  const { access, send } = mockMidi('Drum Pads');
+  assert.equal(await input.enableMidi(access), true);
+  assert.deepEqual(input.getMidiInputNames(), ['Drum Pads']);
+  input.setMidiNotes([[36], [38, 40], [42], [49]]);
+
+  send('in0', 10, 0x99, 36, 100); // note-on, channel 10
+  send('in0', 12, 0x90, 38, 64);
+  send('in0', 14, 0x90, 40, 90);  // second note on a lane already held
+  send('in0', 20, 0x89, 36, 0);   // note-off
+  send('in0', 22, 0x90, 38, 0);   // note-on at velocity 0 is a note-off...
+  send('in0', 24, 0x80, 40, 0);   // ...and the lane lets go once both its notes are up
+  send('in0', 26, 0x90, 60, 100); // not bound to a lane
+  send('in0', 28, 0xb0, 42, 127); // control change
+  const events = input.drainLaneEvents();
+  assert.deepEqual(lanes(events), [[10, 0, true], [12, 1, true], [20, 0, false], [24, 1, false]]);
+  assert.deepEqual(events.map(e => e.velocity), [100, 64, undefined, undefined]);
+  assert.equal(input.lastDevice, 'midi');
+  assert.equal(input.isLanePressed(0) || input.isLanePressed(1), false);
+});
+
+test('a repeated note-on without a note-off releases and presses again', async () => {
+  const input = new InputHandler();
+  const { access, send } = mockMidi('Drum Pads');
+  await input.enableMidi(access);
+  input.setMidiNotes([[36], [38], [42], [49]]);
+
+  send('in0', 10, 0x90, 36, 100);
+  send('in0', 15, 0x90, 36, 80);
+  assert.deepEqual(lanes(input.drainLaneEvents()), [[10, 0, true], [15, 0, false], [15, 0, true]]);
+  assert.equal(input.isLanePressed(0), true);
+});
+
+test('inputs connected after MIDI is enabled are listened to', async () => {
+  const input = new InputHandler();
+  const { access, port, send } = mockMidi('Keyboard');
+  await input.enableMidi(access);
+  input.setMidiNotes([[36], [38], [42], [49]]);
+
+  access.inputs.set('in1', port('Drum Pads'));
+  access.onstatechange();
+  assert.deepEqual(input.getMidiInputNames(), ['Keyboard', 'Drum Pads']);
+  send('in1', 40, 0x90, 49, 127);
+  send('in0', 35, 0x90, 42, 127);
+  assert.deepEqual(lanes(input.drainLaneEvents()), [[35, 2, true], [40, 3, true]]);
+});
@@ -0,0 +1,75 @@
+// FINPOP Rhythm Game — Judge Tests
+// Hold notes on a one-note chart: head and tail judgments, sustain ticks, breaks and missed heads
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+const { BeatmapManager } = await import('../js/beatmap.js');
+const { Scorer, Judgment } = await import('../js/scorer.js');
+const { Judge } = await import('../js/judge.js');
+
+const { APPROVED, PENDING, CHARGEBACK } = Judgment;
+
+// At 120 BPM a beat is 0.5s, so sustain ticks fall every 0.25s: 1.25, 1.5 and 1.75 for this hold
+const HOLD = { time: 1, lane: 0, type: 'hold', duration: 1 };
+
+function holdChart() {
+  const beatmap = new BeatmapManager();
+  beatmap.loadData({ bpm: 120, notes: [HOLD] });
+  beatmap.applyDifficulty('NORMAL');
+  const scorer = new Scorer();
+  const judge = new Judge(beatmap, scorer);
+  judge.reset();
+  return { beatmap, scorer, judge };
+}
+
+const press = (time) => ({ lane: 0, down: true, time });
+const release = (time) => ({ lane: 0, down: false, time });
+const judgments = (scorer) => scorer.timeline.map(e => [e.time, e.judgment]);
+
+test('a hold kept down to its tail is two judgments plus a tick per eighth note', () => {
+  const { scorer, judge } = holdChart();
+  judge.judgeUntil(1, [press(1)]);
+  judge.judgeUntil(3, [release(3)]);
+  const stats = scorer.getStats();
+  assert.deepEqual(judgments(scorer), [[1, APPROVED], [2, APPROVED]]);
+  assert.deepEqual([stats.totalNotes, stats.holdTicks, stats.holdBreaks], [2, 3, 0]);
+  assert.equal(stats.score, 300 + 300 + 3 * 20);
+  assert.equal(stats.maxCombo, 2);
+});
+
+test('a release near the tail is judged on the release windows', () => {
+  const { beatmap, scorer, judge } = holdChart();
+  judge.judgeUntil(1.03, [press(1.03)]);
+  judge.judgeUntil(1.9, [release(1.9)]); // 0.1s early: past APPROVED, inside PENDING
+  assert.deepEqual(judgments(scorer), [[1, APPROVED], [2, PENDING]]);
+  assert.equal(scorer.holdTicks, 3);
+  assert.equal(beatmap.notes[0].released, true);
+});
+
+test('letting go early is a hold break, and nothing more is judged for the note', () => {
+  const { beatmap, scorer, judge } = holdChart();
+  judge.judgeUntil(1, [press(1)]);
+  judge.judgeUntil(1.5, [release(1.5)]);
+  judge.judgeUntil(3, []);
+  const stats = scorer.getStats();
+  assert.deepEqual(judgments(scorer), [[1, APPROVED], [2, CHARGEBACK]]);
+  assert.deepEqual([stats.holdTicks, stats.holdBreaks, scorer.combo], [2, 1, 0]);
+  assert.equal(beatmap.notes[0].broken, true);
+});
+
+test('a missed head charges the tail as well', () => {
+  const { scorer, judge } = holdChart();
+  judge.judgeUntil(3, []);
+  assert.deepEqual(judgments(scorer), [[1, CHARGEBACK], [2, CHARGEBACK]]);
+  assert.deepEqual([scorer.holdTicks, scorer.holdBreaks], [0, 0]);
+});
+
+test('a press too far off the head charges the tail without starting the sustain', () => {
+  const { beatmap, scorer, judge } = holdChart();
+  judge.judgeUntil(1.18, [press(1.18)]); // inside the miss window, outside DECLINED
+  judge.judgeUntil(3, [release(3)]);
+  assert.deepEqual(judgments(scorer), [[1, CHARGEBACK], [2, CHARGEBACK]]);
+  assert.equal(scorer.holdTicks, 0);
+  assert.equal(beatmap.notes[0].holding, false);
+});
@@ -0,0 +1,118 @@
+// FINPOP Rhythm Game — Leaderboard Server Tests
+// Boards over HTTP: ranking, one best entry per player, friends boards, replays — and only results a replay earns
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { loadGame, playChart, withResult, SONG } from './game-fixture.js';
+
+const { createServer, LeaderboardStore } = await import('../server/leaderboard.mjs');
+const { modifierKey } = await import('../js/modifiers.js');
+
+let dir, server, base, game, runs;
+
+before(async () => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'finpop-board-'));
+  server = createServer(new LeaderboardStore(path.join(dir, 'leaderboard.json')));
+  await new Promise(resolve => server.listen(0, resolve));
+  base = `http://localhost:${server.address().port}`;
+  // Three genuine NORMAL runs, worst to best
+  game = await loadGame();
+  runs = [1, 2, 3].map(seed => withResult(game, playChart(game, 'NORMAL', seed)))
+    .sort((a, b) => a.result.score - b.result.score);
+  assert.ok(runs[0].result.score < runs[1].result.score && runs[1].result.score < runs[2].result.score);
+});
+
+after(() => {
+  server.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+async function submit(player, replay) {
+  const res = await fetch(`${base}/api/scores`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: typeof replay === 'string' ? replay : JSON.stringify({ player, replay }),
+  });
+  return { status: res.status, body: await res.json() };
+}
+
+async function board(players = null) {
+  const params = new URLSearchParams({ song: SONG.id, difficulty: 'NORMAL', mods: modifierKey(runs[0].mods), chart: runs[0].chartHash });
+  if (players) params.set('players', players.join(','));
+  const res = await fetch(`${base}/api/scores?${params}`);
+  return res.json();
+}
+
+test('submissions are ranked by score', async () => {
+  const bob = await submit('bob', runs[0]);
+  assert.equal(bob.status, 200);
+  assert.deepEqual([bob.body.rank, bob.body.best], [1, true]);
+
+  const alice = await submit('  alice ', runs[2]);
+  assert.deepEqual([alice.body.rank, alice.body.best], [1, true]);
+
+  const { total, entries } = await board();
+  assert.equal(total, 2);
+  assert.deepEqual(entries.map(e => [e.rank, e.player, e.score]), [[1, 'alice', runs[2].result.score], [2, 'bob', runs[0].result.score]]);
+  assert.equal(entries[0].replay, undefined);
+});
+
+test('a player keeps only their best entry', async () => {
+  const worse = await submit('alice', runs[1]);
+  assert.equal(worse.status, 200);
+  assert.deepEqual([worse.body.rank, worse.body.best], [1, false]);
+
+  const better = await submit('bob', runs[1]);
+  assert.deepEqual([better.body.rank, better.body.best], [2, true]);
+  const { total, entries } = await board();
+  assert.equal(total, 2);
+  assert.deepEqual(entries.map(e => [e.player, e.score]), [['alice', runs[2].result.score], ['bob', runs[1].result.score]]);
+});
+
+test('the same run is only submitted once', async () => {
+  const again = await submit('alice', runs[2]);
+  assert.equal(again.status, 409);
+  assert.equal(again.body.error, 'already submitted');
+});
+
+test('a friends board only lists the players asked for', async () => {
+  await submit('carol', runs[0]);
+  const { total, entries } = await board(['carol', 'alice', 'dave']);
+  assert.equal(total, 2);
+  assert.deepEqual(entries.map(e => [e.rank, e.player]), [[1, 'alice'], [2, 'carol']]);
+});
+
+test('the replay behind an entry can be fetched', async () => {
+  const { entries } = await board(['carol']);
+  const res = await fetch(`${base}/api/replays/${entries[0].id}`);
+  assert.equal(res.status, 200);
+  assert.deepEqual(await res.json(), runs[0]);
+  assert.equal((await fetch(`${base}/api/replays/9999`)).status, 404);
+});
+
+test('malformed and unearned submissions are turned away', async () => {
+  const forged = { ...runs[0], recordedAt: 50, result: { ...runs[0].result, score: 999999999 }, events: runs[0].events.slice(0, 2) };
+  // A run that fails with the gauge live, claiming it couldn't fail and submitted to the board without NO FAIL
+  const failing = playChart(game, 'NORMAL', 4, true);
+  failing.events = failing.events.filter(([time]) => time < 20);
+  const unfailed = { ...failing, canFail: false, result: withResult(game, { ...failing, mods: { nofail: true } }).result };
+  const cases = [
+    [await submit(null, '{"player": "eve",'), 400, 'invalid JSON'],
+    [await submit('', runs[0]), 400, 'missing player name'],
+    [await submit('eve', { ...runs[0], version: 0 }), 400, 'unsupported replay version 0'],
+    [await submit('eve', { ...runs[0], events: [[1, 0, 1], [0.5, 0, 0]] }), 400, 'malformed replay events'],
+    [await submit('eve', { ...runs[0], result: { score: 1 } }), 400, 'replay has no valid result'],
+    [await submit('eve', forged), 422, 'replay does not reproduce the score'],
+    [await submit('eve', unfailed), 422, 'replay does not reproduce the score'],
+    [await submit('eve', { ...runs[0], songId: 'not_a_track' }), 422, 'track not on this server'],
+    [await submit('eve', { ...runs[0], chartHash: 'deadbeef' }), 422, 'different chart version'],
+  ];
+  for (const [res, status, error] of cases) assert.deepEqual([res.status, res.body.error], [status, error]);
+
+  const res = await fetch(`${base}/api/scores?song=${SONG.id}`);
+  assert.equal(res.status, 400);
+  assert.equal((await board(['eve'])).total, 0);
+});
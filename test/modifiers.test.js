@@ -0,0 +1,41 @@
+// FINPOP Rhythm Game — Modifiers Tests
+// Lane maps for MIRROR/RANDOM and the leaderboard key a run's modifiers come to
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+const { laneMap, modifierKey, normalizeModifiers } = await import('../js/modifiers.js');
+
+const LANES = [4, 5, 6, 7];
+const isPermutation = (map, count) => map.length === count && [...map].sort((a, b) => a - b).every((lane, i) => lane === i);
+
+test('MIRROR flips the lanes', () => {
+  assert.deepEqual(laneMap(4, normalizeModifiers({ mirror: true })), [3, 2, 1, 0]);
+  assert.deepEqual(laneMap(5, normalizeModifiers(null)), [0, 1, 2, 3, 4]);
+});
+
+test('RANDOM shuffles the lanes, the same way every time for a seed', () => {
+  for (const count of LANES) {
+    const shuffles = new Set();
+    for (let seed = 1; seed <= 20; seed++) {
+      const mods = normalizeModifiers({ random: true, seed });
+      const map = laneMap(count, mods);
+      assert.ok(isPermutation(map, count), `${count}K seed ${seed}: ${map}`);
+      assert.deepEqual(laneMap(count, normalizeModifiers({ random: true, seed })), map);
+      // MIRROR on top mirrors the shuffle
+      assert.deepEqual(laneMap(count, { ...mods, mirror: true }), map.map(lane => count - 1 - lane));
+      shuffles.add(map.join());
+    }
+    assert.ok(shuffles.size > 1, `${count}K: every seed gave the same shuffle`);
+  }
+});
+
+test('the board key names the rule-changing modifiers, whatever order they come in', () => {
+  assert.equal(modifierKey({ nofail: true, hidden: true, mirror: true }), 'mirror+hidden+nofail');
+  assert.equal(modifierKey({ mirror: true, nofail: true, hidden: true }), 'mirror+hidden+nofail');
+  assert.equal(modifierKey(normalizeModifiers({ hidden: true, nofail: true, mirror: true })), 'mirror+hidden+nofail');
+  // Neither the RANDOM seed nor the scroll speed splits boards
+  assert.equal(modifierKey({ random: true, seed: 1, speed: 2 }), modifierKey({ speed: 1, seed: 99, random: true }));
+  assert.equal(modifierKey(null), 'none');
+  assert.equal(modifierKey(normalizeModifiers({ speed: 1.5 })), 'none');
+});
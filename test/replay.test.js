@@ -0,0 +1,137 @@
+// FINPOP Rhythm Game — Replay Re-simulation Tests
+// A replay judges to the same result whatever the step it's re-simulated at, and verification checks the whole claim
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { inert } from './browser-stubs.js';
+import { loadGame, playChart, withResult } from './game-fixture.js';
+
+const { toReplayTime, encodeReplay, decodeReplay, parseReplay } = await import('../js/replay.js');
+
+const outcome = (stats) => ({
+  score: stats.score,
+  maxCombo: stats.maxCombo,
+  counts: stats.counts,
+  approvalRate: stats.approvalRate,
+  holdTicks: stats.holdTicks,
+  failed: stats.failed,
+  failedAt: stats.failedAt,
+  timeline: stats.timeline,
+});
+
+test('re-simulation gives identical stats at any step size', async () => {
+  const game = await loadGame();
+  const replay = playChart(game, 'HARD', 7);
+  const reference = outcome(game.resimulate(replay, 0.05));
+  assert.ok(reference.holdTicks > 0 && reference.counts.CHARGEBACK > 0, 'the run should hold notes and miss some');
+  for (const step of [0.0167, 0.0333, 0.2]) {
+    assert.deepEqual(outcome(game.resimulate(replay, step)), reference, `step ${step}`);
+  }
+});
+
+test('a miss during a hold is settled before the sustain ticks that follow it', async () => {
+  const game = await loadGame();
+  // A 12-note streak (2x multiplier), then a hold with a tap in the next lane that's never pressed
+  const taps = Array.from({ length: 12 }, (_, i) => ({ time: 0.5 + i * 0.1, lane: 2 }));
+  game.beatmap.loadData({
+    bpm: 120,
+    charts: { HARD: { notes: [...taps, { time: 2, lane: 0, type: 'hold', duration: 2 }, { time: 2.5, lane: 1 }] } },
+  });
+  const replay = playChart(game, 'HARD', 1);
+  replay.events = [
+    ...taps.flatMap(t => [[t.time, 2, 1], [toReplayTime(t.time + 0.05), 2, 0]]),
+    [2, 0, 1], [4, 0, 0],
+  ];
+  const reference = outcome(game.resimulate(replay, 0.0167));
+  assert.equal(reference.counts.CHARGEBACK, 1);
+  for (const step of [0.05, 0.2, 0.3]) {
+    assert.deepEqual(outcome(game.resimulate(replay, step)), reference, `step ${step}`);
+  }
+});
+
+test('a failing run fails at the same moment at any step size', async () => {
+  const game = await loadGame();
+  const replay = playChart(game, 'HARD', 3, true);
+  replay.events = replay.events.filter(([time]) => time < 20); // walks away after 20s
+  const reference = outcome(game.resimulate(replay, 0.05));
+  assert.equal(reference.failed, true);
+  assert.deepEqual(outcome(game.resimulate(replay, 0.0167)), reference);
+});
+
+test('verification accepts a genuine result and rejects an edited one', async () => {
+  const game = await loadGame();
+  const replay = withResult(game, playChart(game, 'NORMAL', 11));
+
+  assert.equal(game.verifyReplay(replay, replay.chartHash).verified, true);
+  assert.equal(game.verifyReplay({ ...replay, result: { ...replay.result, approvalRate: 100 } }).verified, false);
+  assert.equal(game.verifyReplay({ ...replay, result: { ...replay.result, score: replay.result.score + 1 } }).verified, false);
+  assert.equal(game.verifyReplay(replay, 'deadbeef').reason, 'link altered');
+});
+
+test('share links and replay files without a well-formed result or input are rejected', async () => {
+  const game = await loadGame();
+  const replay = withResult(game, playChart(game, 'NORMAL', 5));
+  assert.deepEqual(await decodeReplay(await encodeReplay(replay)), replay);
+
+  const { result, ...bare } = replay;
+  await assert.rejects(decodeReplay(await encodeReplay(bare)), { message: 'replay has no valid result' });
+  assert.throws(() => parseReplay({ ...replay, result: { grade: 'S' } }), { message: 'replay has no valid result' });
+  assert.throws(() => parseReplay({ ...replay, events: [[0.5, 0, 1], [0.4, 0, 0]] }), { message: 'malformed replay events' });
+  assert.throws(() => parseReplay({ ...replay, events: [[0.5, 9, 1]] }), { message: 'malformed replay events' });
+  assert.throws(() => parseReplay({ ...replay, offset: undefined }), { message: 'replay has no offset' });
+});
+
+test('verifying a replay plays no sounds, vibrations or effects', async () => {
+  const game = await loadGame();
+  const calls = [];
+  const spy = (name) => () => { calls.push(name); };
+  game.sfx = inert({ play: spy('sfx.play') });
+  game.renderer = inert({ renderJudgment: spy('renderJudgment'), addHitError: spy('addHitError'), renderComboMilestone: spy('renderComboMilestone') });
+  const vibrate = navigator.vibrate;
+  navigator.vibrate = spy('vibrate');
+  try {
+    const replay = withResult(game, playChart(game, 'NORMAL', 9));
+    assert.equal(game.verifyReplay(replay).verified, true);
+  } finally {
+    navigator.vibrate = vibrate;
+  }
+  assert.deepEqual(calls, []);
+});
+
+test('a replay fails as its modifiers say, whatever its canFail flag claims', async () => {
+  const game = await loadGame();
+  const replay = playChart(game, 'HARD', 3, true);
+  replay.events = replay.events.filter(([time]) => time < 20);
+  // What the run would come to if the gauge couldn't empty, claimed without NO FAIL
+  const survived = withResult(game, { ...replay, mods: { nofail: true } }).result;
+  assert.equal(survived.failed, undefined);
+  const forged = { ...replay, canFail: false, result: survived };
+  const check = game.verifyReplay(forged);
+  assert.equal(check.verified, false);
+  assert.equal(check.stats.failed, true);
+});
+
+// The challenge banner's text for a shared link carrying `replay`
+function bannerFor(game, replay) {
+  const text = { textContent: '' };
+  const banner = { querySelector: () => text, classList: { toggle() {}, add() {}, remove() {} } };
+  const getElementById = document.getElementById;
+  document.getElementById = (id) => id === 'challenge-banner' ? banner : null;
+  try {
+    game.showChallengeBanner({ grade: '?', approvalRate: 0, chart: replay.chartHash }, replay);
+  } finally {
+    document.getElementById = getElementById;
+  }
+  return text.textContent;
+}
+
+test('the challenge banner reports a verified failed run as failed', async () => {
+  const game = await loadGame();
+  const cleared = withResult(game, playChart(game, 'NORMAL', 11));
+  const failing = playChart(game, 'HARD', 3, true);
+  failing.events = failing.events.filter(([time]) => time < 20);
+  withResult(game, failing);
+
+  assert.match(bannerFor(game, cleared), /^✓ VERIFIED — Someone scored Grade [SABCD] with \d+% approval on Payments On Lock NORMAL!/);
+  assert.match(bannerFor(game, failing), /^✓ VERIFIED — Someone FAILED Payments On Lock HARD at \d+% approval\./);
+});